@@ -0,0 +1,638 @@
+// Random values from contracts, for property-based testing.
+// arbitrary(c) returns a generator for values satisfying c:
+//   {generate: (rand, size) => value, shrink: (value) => [smaller values]}
+// where rand is a seeded source of numbers in [0, 1) and size
+// bounds the size of the values. forAll(contracts, property)
+// checks a property on random arguments and shrinks any failing
+// arguments to a minimal counterexample.
+define(['jscategory'], (jsc) => {
+  const {arrayOf, describe, func, hom, show, signature} = jsc;
+
+  // A seeded source of random numbers in [0, 1) (mulberry32).
+  const random = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  // A random integer in [lo, hi].
+  const between = (rand, lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+
+  const pick = (rand, xs) => xs[between(rand, 0, xs.length - 1)];
+
+  // Candidates for shrinking the integer n, closest to 0 first.
+  const shrinkInt = (n) => {
+    const result = [];
+    for (let d = n; d !== 0; d = Math.trunc(d / 2)) {
+      result.push(n - d);
+    }
+    return result;
+  };
+
+  // Generates integers in [lo, hi], within size of 0 except
+  // for the occasional bound.
+  const integers = (lo, hi) => ({
+    generate: (rand, size) => rand() < 0.05 ? pick(rand, [lo, hi]) :
+        between(rand, Math.max(lo, Math.min(hi, -size)), Math.min(hi, Math.max(lo, size))),
+    shrink: (n) => shrinkInt(n).filter((m) => lo <= m && m <= hi)
+  });
+
+  // The integers that fit in the elements of typed arrays made by
+  // ctor, up to 32 bits for the floating point and BigInt ones.
+  const elementRange = (ctor) => {
+    const bits = Math.min(32, 8 * ctor.BYTES_PER_ELEMENT);
+    return /^(Uint|BigUint)/.test(ctor.name) ?
+        {min: 0, max: Math.pow(2, bits) - 1} :
+        {min: -Math.pow(2, bits - 1), max: Math.pow(2, bits - 1) - 1};
+  };
+
+  // Bounds for integers without bounds of their own.
+  const largest = Math.pow(2, 53) - 1;
+
+  const constant = (x) => ({generate: () => x, shrink: () => []});
+
+  // Generators chosen by the user for contracts, see register.
+  const registered = new WeakMap();
+
+  // Uses the generator gen for values of the contract c, e.g.
+  // for a hand-written contract.
+  const register = (c, gen) => {
+    func(c);
+    func(gen.generate);
+    registered.set(c, gen);
+    return c;
+  };
+
+  // Shrinks the element at index i of a tuple.
+  const shrinkAt = (xs, i, gen) => gen.shrink(xs[i]).map((y) => {
+    const copy = xs.slice();
+    copy[i] = y;
+    return copy;
+  });
+
+  const tuple = (gens) => ({
+    generate: (rand, size) => gens.map((gen) => gen.generate(rand, size)),
+    shrink: (xs) => [].concat(...gens.map((gen, i) => shrinkAt(xs, i, gen)))
+  });
+
+  // Lists of elements of gen, with lengths in [min, max].
+  const list = (gen, {min = 0, max = Infinity} = {}) => ({
+    generate: (rand, size) => {
+      const len = between(rand, min, Math.max(min, Math.min(max, size)));
+      const result = [];
+      for (let i = 0; i < len; ++i) {
+        result.push(gen.generate(rand, size));
+      }
+      return result;
+    },
+    // Drop halves, then single elements, then shrink elements.
+    shrink: (xs) => {
+      const result = [];
+      if (xs.length > 1) {
+        result.push(xs.slice(0, xs.length >> 1), xs.slice(xs.length >> 1));
+      }
+      xs.forEach((x, i) => result.push(xs.slice(0, i).concat(xs.slice(i + 1))));
+      xs.forEach((x, i) => result.push(...shrinkAt(xs, i, gen)));
+      return result.filter((ys) => ys.length >= min);
+    }
+  });
+
+  const alphabet = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 _-.';
+
+  const strings = {
+    generate: (rand, size) => {
+      let result = '';
+      const len = between(rand, 0, size);
+      for (let i = 0; i < len; ++i) {
+        result += pick(rand, alphabet);
+      }
+      return result;
+    },
+    shrink: (s) => s === '' ? [] : [''].concat(
+        s.length > 1 ? [s.slice(0, s.length >> 1), s.slice(s.length >> 1)] : [],
+        s.split('').map((c, i) => s.slice(0, i) + s.slice(i + 1)))
+  };
+
+  const record = (keys, gens) => ({
+    generate: (rand, size) => {
+      const result = {};
+      keys.forEach((k, i) => { result[k] = gens[i].generate(rand, size); });
+      return result;
+    },
+    shrink: (o) => [].concat(...keys.map((k, i) => gens[i].shrink(o[k]).map((y) =>
+        Object.assign({}, o, {[k]: y}))))
+  });
+
+  // Picks one of the generators; shrinks with whichever of them
+  // has candidates.
+  const oneOf = (gens) => ({
+    generate: (rand, size) => pick(rand, gens).generate(rand, size),
+    shrink: (x) => [].concat(...gens.map((gen) => {
+      try {
+        return gen.shrink(x);
+      } catch (e) {
+        return [];
+      }
+    }))
+  });
+
+  // Tagged values [tag, value] for the coproducts.
+  const tagged = (tags, gens) => ({
+    generate: (rand, size) => {
+      const i = between(rand, 0, tags.length - 1);
+      return [tags[i], gens[i].generate(rand, size)];
+    },
+    shrink: ([tag, x]) => [].concat(
+        tags[0] !== tag ? [[tags[0], gens[0].generate(random(0), 0)]] : [],
+        gens[tags.indexOf(tag)].shrink(x).map((y) => [tag, y]))
+  });
+
+  // Generates values of gen and keeps those accepted by c.
+  const filtered = (gen, c) => {
+    const passes = (x) => {
+      try {
+        c(x);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    };
+    return {
+      generate: (rand, size) => {
+        for (let i = 0; i < 100; ++i) {
+          const x = gen.generate(rand, size);
+          if (passes(x)) {
+            return x;
+          }
+        }
+        throw new Error(`Gave up generating ${signature(c)} after 100 tries.`);
+      },
+      shrink: (x) => gen.shrink(x).filter(passes)
+    };
+  };
+
+  // Parses the source of a regular expression into a tree of
+  // alternatives, sequences, repetitions and character sets. Only
+  // the common syntax is supported: literals, ., classes like
+  // [a-z] and \d, groups, |, and the quantifiers *, +, ? and {m,n}.
+  const parseRegExp = (source) => {
+    let pos = 0;
+    const printable = [];
+    for (let i = 32; i < 127; ++i) {
+      printable.push(String.fromCharCode(i));
+    }
+    const escapes = {
+      d: '0123456789'.split(''),
+      w: alphabet.replace(/[ .-]/g, '').split(''),
+      s: [' ', '\t', '\n']
+    };
+    const escape = () => {
+      const c = source[pos++];
+      if (escapes[c]) {
+        return escapes[c];
+      }
+      if (escapes[c.toLowerCase()]) {
+        return printable.filter((x) => escapes[c.toLowerCase()].indexOf(x) < 0);
+      }
+      return [{n: '\n', t: '\t', r: '\r'}[c] || c];
+    };
+    const charClass = () => {
+      const negated = source[pos] === '^';
+      if (negated) {
+        ++pos;
+      }
+      let chars = [];
+      while (source[pos] !== ']') {
+        if (pos >= source.length) {
+          throw new SyntaxError(`Unterminated character class in /${source}/.`);
+        }
+        let c = source[pos++];
+        if (c === '\\') {
+          chars = chars.concat(escape());
+        } else if (source[pos] === '-' && source[pos + 1] !== ']') {
+          const end = source[pos + 1];
+          pos += 2;
+          for (let i = c.charCodeAt(0); i <= end.charCodeAt(0); ++i) {
+            chars.push(String.fromCharCode(i));
+          }
+        } else {
+          chars.push(c);
+        }
+      }
+      ++pos;
+      return negated ? printable.filter((x) => chars.indexOf(x) < 0) : chars;
+    };
+    const atom = () => {
+      const c = source[pos++];
+      switch (c) {
+        case '(':
+          if (source[pos] === '?') {
+            pos += 2;
+          }
+          const result = alternatives();
+          ++pos;
+          return result;
+        case '[': return {chars: charClass()};
+        case '\\': return {chars: escape()};
+        case '.': return {chars: printable};
+        case '^':
+        case '$':
+          return {seq: []};
+        default: return {chars: [c]};
+      }
+    };
+    const quantified = () => {
+      let node = atom();
+      const c = source[pos];
+      let min = 1, max = 1;
+      if (c === '*' || c === '+' || c === '?') {
+        ++pos;
+        min = c === '+' ? 1 : 0;
+        max = c === '?' ? 1 : Infinity;
+      } else if (c === '{' && /^\{\d+(,\d*)?\}/.test(source.slice(pos))) {
+        const [, lo, comma, hi] = source.slice(pos).match(/^\{(\d+)(,)?(\d*)\}/);
+        pos = source.indexOf('}', pos) + 1;
+        min = +lo;
+        max = comma ? (hi ? +hi : Infinity) : min;
+      } else {
+        return node;
+      }
+      if (source[pos] === '?') {
+        ++pos;
+      }
+      return {repeat: node, min, max};
+    };
+    const sequence = () => {
+      const seq = [];
+      while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+        seq.push(quantified());
+      }
+      return {seq};
+    };
+    const alternatives = () => {
+      const alts = [sequence()];
+      while (source[pos] === '|') {
+        ++pos;
+        alts.push(sequence());
+      }
+      return {alts};
+    };
+    return alternatives();
+  };
+
+  // Generates strings matching the parsed regular expression.
+  const fromRegExp = (tree) => {
+    const gen = (node, rand, size) => {
+      if (node.chars) {
+        return pick(rand, node.chars);
+      }
+      if (node.seq) {
+        return node.seq.map((n) => gen(n, rand, size)).join('');
+      }
+      if (node.alts) {
+        return gen(pick(rand, node.alts), rand, size);
+      }
+      const count = between(rand, node.min, Math.max(node.min, Math.min(node.max, size)));
+      let result = '';
+      for (let i = 0; i < count; ++i) {
+        result += gen(node.repeat, rand, size);
+      }
+      return result;
+    };
+    return {generate: (rand, size) => gen(tree, rand, size), shrink: () => []};
+  };
+
+  // A generator for the contract c, built from its description.
+  const arbitrary = (c) => {
+    if (registered.has(c)) {
+      return registered.get(c);
+    }
+    const {kind, args} = describe(c);
+    const [x] = args;
+    const fail = () => {
+      throw new TypeError(`No generator for ${signature(c)}; register one.`);
+    };
+    switch (kind) {
+      case 'name':
+        switch (x) {
+          case 'any': return oneOf([integers(-0x80000000, 0x7fffffff), strings,
+              constant(true), constant(false), constant(null), constant(void 0)]);
+          case 'undefined': return constant(void 0);
+          case 'null': return constant(null);
+          case 'NaN': return constant(NaN);
+          case 'int32': return integers(-0x80000000, 0x7fffffff);
+          case 'nat32': return integers(0, 0x7fffffff);
+          case 'int53': return integers(-(Math.pow(2, 53) - 1), Math.pow(2, 53) - 1);
+          case 'nat53': return integers(0, Math.pow(2, 53) - 1);
+        }
+        return fail();
+      case 'typeOf':
+        switch (x) {
+          case 'boolean': return {generate: (rand) => rand() < 0.5, shrink: (b) => b ? [false] : []};
+          case 'number': return {
+            generate: (rand, size) => rand() < 0.5 ? between(rand, -size, size) : (rand() - 0.5) * 2 * size,
+            shrink: (n) => Number.isInteger(n) ? shrinkInt(n) : [Math.trunc(n)]
+          };
+          case 'string': return strings;
+          case 'symbol': return {generate: (rand) => Symbol(between(rand, 0, 99)), shrink: () => []};
+          case 'undefined': return constant(void 0);
+          case 'function': return arbitrary(hom(jsc.any, jsc.any));
+          case 'object': return oneOf([constant(null), record([], [])]);
+        }
+        return fail();
+      case 'classOf':
+        switch (x) {
+          case 'Array': return list(arbitrary(jsc.any));
+          case 'Date': return {
+            generate: (rand) => new Date(between(rand, 0, 4102444800000)),
+            shrink: (d) => shrinkInt(d.getTime()).map((t) => new Date(t))
+          };
+          case 'Promise': return {
+            generate: (rand, size) => Promise.resolve(arbitrary(jsc.any).generate(rand, size)),
+            shrink: () => []
+          };
+        }
+        return fail();
+      case 're':
+        return fromRegExp(parseRegExp(x.source));
+      case 'refine':
+        return filtered(arbitrary(x), c);
+      case 'protocol':
+        // Values of the underlying contract; the order of calls
+        // is checked when the contract is applied.
+        return arbitrary(args[1] || jsc.any);
+      case 'literal':
+        return constant(x);
+      case 'oneOf':
+        // Shrinks towards the first value.
+        return {
+          generate: (rand) => pick(rand, x),
+          shrink: (v) => x.slice(0, x.findIndex((w) => Object.is(v, w)))
+        };
+      case 'range': {
+        const {min = -Infinity, max = Infinity, integer, exclusiveMin, exclusiveMax} = x || {};
+        if (integer) {
+          const lo = exclusiveMin && Number.isInteger(min) ? min + 1 : Math.ceil(min);
+          const hi = exclusiveMax && Number.isInteger(max) ? max - 1 : Math.floor(max);
+          return filtered(integers(Math.max(lo, -largest), Math.min(hi, largest)), c);
+        }
+        return filtered({
+          // Within size of 0 if the range allows, else within size
+          // of its finite bound.
+          generate: (rand, size) => {
+            let lo = Math.max(min, -size), hi = Math.min(max, size);
+            if (!(lo < hi)) {
+              [lo, hi] = isFinite(min) ? [min, Math.min(max, min + size + 1)] : [max - size - 1, max];
+            }
+            return rand() < 0.5 ? Math.round(lo + rand() * (hi - lo)) : lo + rand() * (hi - lo);
+          },
+          shrink: (n) => Number.isInteger(n) ? shrinkInt(n) : [Math.trunc(n)].concat(shrinkInt(Math.trunc(n)))
+        }, c);
+      }
+      case 'text': {
+        const {min = 0, max = Infinity, pattern, format} = x || {};
+        if (pattern || format) {
+          return filtered(fromRegExp(parseRegExp((pattern || jsc.text.formats[format]).source)), c);
+        }
+        const chars = list({generate: (rand) => pick(rand, alphabet), shrink: () => []}, {min, max});
+        return filtered({
+          generate: (rand, size) => chars.generate(rand, size).join(''),
+          shrink: strings.shrink
+        }, c);
+      }
+      case 'promOf': {
+        const gen = arbitrary(x);
+        return {generate: (rand, size) => Promise.resolve(gen.generate(rand, size)), shrink: () => []};
+      }
+      case 'arrayOf':
+        return list(arbitrary(x), args[1]);
+      case 'setOf': {
+        const gen = list(arbitrary(x));
+        return {
+          generate: (rand, size) => new Set(gen.generate(rand, size)),
+          shrink: (s) => gen.shrink([...s]).map((xs) => new Set(xs))
+        };
+      }
+      case 'mapOf': {
+        const gen = list(tuple([arbitrary(x), arbitrary(args[1])]));
+        return {
+          generate: (rand, size) => new Map(gen.generate(rand, size)),
+          shrink: (m) => gen.shrink([...m]).map((entries) => new Map(entries))
+        };
+      }
+      case 'weakMapOf': {
+        const gen = list(tuple([arbitrary(x), arbitrary(args[1])]));
+        return {
+          generate: (rand, size) => new WeakMap(gen.generate(rand, size).filter(([k]) =>
+              k !== null && (typeof k === 'object' || typeof k === 'function'))),
+          shrink: () => []
+        };
+      }
+      case 'typedArrayOf': {
+        // Integers within the range, or the whole range of the
+        // element type; BigInt arrays need BigInts.
+        const range = Object.assign(elementRange(x), args[1]);
+        const [min, max] = [Number(range.min), Number(range.max)];
+        const big = /^Big/.test(x.name);
+        const gen = list(Number.isInteger(min) && Number.isInteger(max) ?
+            integers(min, max) :
+            {generate: (rand) => min + rand() * (max - min), shrink: () => []});
+        return {
+          generate: (rand, size) => x.from(gen.generate(rand, size), (n) => big ? BigInt(n) : n),
+          shrink: (a) => gen.shrink(Array.from(a, Number)).map((xs) => x.from(xs, (n) => big ? BigInt(n) : n))
+        };
+      }
+      case 'iterOf':
+        return list(arbitrary(x));
+      case 'genOf': {
+        const gen = list(arbitrary(x));
+        const result = arbitrary(args[1] || jsc.any);
+        return {
+          generate: (rand, size) => {
+            const xs = gen.generate(rand, size);
+            const r = result.generate(rand, size);
+            return (function* () {
+              yield* xs;
+              return r;
+            })();
+          },
+          shrink: () => []
+        };
+      }
+      case 'asyncIterOf': {
+        const gen = list(arbitrary(x));
+        return {
+          generate: (rand, size) => {
+            const xs = gen.generate(rand, size);
+            return {
+              [Symbol.asyncIterator]: async function* () {
+                yield* xs;
+              }
+            };
+          },
+          shrink: () => []
+        };
+      }
+      case 'objectOf': {
+        const keys = list(strings);
+        const gen = arbitrary(x);
+        return {
+          generate: (rand, size) => {
+            const result = {};
+            keys.generate(rand, size).forEach((k) => { result[k] = gen.generate(rand, size); });
+            return result;
+          },
+          shrink: (o) => Object.keys(o).map((k) => {
+            const copy = Object.assign({}, o);
+            delete copy[k];
+            return copy;
+          })
+        };
+      }
+      case 'prodn': {
+        const gen = tuple(x.map(arbitrary));
+        if (!args[1]) {
+          return gen;
+        }
+        const tail = list(arbitrary(args[1].c));
+        return {
+          generate: (rand, size) => gen.generate(rand, size).concat(tail.generate(rand, size)),
+          shrink: (xs) => gen.shrink(xs.slice(0, x.length)).map((ys) => ys.concat(xs.slice(x.length)))
+              .concat(tail.shrink(xs.slice(x.length)).map((ys) => xs.slice(0, x.length).concat(ys)))
+        };
+      }
+      case 'prods':
+      case 'interface':
+      case 'live':
+        return record(Object.keys(x), Object.keys(x).map((k) => arbitrary(x[k])));
+      case 'coprodn':
+      case 'pon':
+        return tagged(x.map((c, i) => i), x.map(arbitrary));
+      case 'coprods':
+      case 'pos':
+        return tagged(Object.keys(x), Object.keys(x).map((k) => arbitrary(x[k])));
+      case 'union':
+        return oneOf(x.map(arbitrary));
+      case 'intersect':
+        return filtered(arbitrary(x[0]), c);
+      case 'pbn':
+        return filtered(tuple(x.map(arbitrary)), c);
+      case 'pbs':
+        return filtered(record(Object.keys(x), Object.keys(x).map((k) => arbitrary(x[k]))), c);
+      case 'opt':
+        return oneOf([constant(void 0), arbitrary(x)]);
+      case 'rec': {
+        // Built on first use, since it refers to itself, and
+        // halving the size each time round so that it stops.
+        let gen;
+        const inner = () => gen || (gen = arbitrary(x()));
+        return {
+          generate: (rand, size) => inner().generate(rand, size >> 1),
+          shrink: (v) => inner().shrink(v)
+        };
+      }
+      case 'self': {
+        // The random functions of the method's contract, guarded
+        // so that they check their receivers.
+        const method = arbitrary(x);
+        return {
+          generate: (rand, size) => c(method.generate(rand, size)),
+          shrink: () => []
+        };
+      }
+      case 'hom':
+      case 'asyncHom': {
+        // A random function that is consistent with itself: equal
+        // arguments, as far as show can tell, give the same result.
+        // A dependent result gets a generator for each call.
+        const last = describe(args[args.length - 1]);
+        const output = last.kind === 'dep' ?
+            (inputs) => arbitrary(last.args[0](...inputs)) :
+            ((gen) => () => gen)(arbitrary(args[args.length - 1]));
+        return {
+          generate: (rand, size) => {
+            const seed = between(rand, 0, 0xffffffff);
+            const results = new Map();
+            return c(function generated(...inputs) {
+              const key = show(inputs, 3);
+              if (!results.has(key)) {
+                results.set(key, output(inputs).generate(random(seed + results.size), size));
+              }
+              return results.get(key);
+            });
+          },
+          shrink: () => []
+        };
+      }
+    }
+    return fail();
+  };
+
+  // Checks property on random arguments satisfying the array of
+  // contracts. On failure, shrinks the arguments and throws an
+  // Error carrying the minimal counterexample and the seed that
+  // reproduces it. Options: seed, runs (default 100) and size,
+  // the largest size to generate (default 30).
+  const forAll = (contracts, property, options = {}) => {
+    arrayOf(func)(contracts);
+    func(property);
+    const {seed = Date.now() >>> 0, runs = 100, size = 30} = options;
+    const gen = tuple(contracts.map(arbitrary));
+    const rand = random(seed);
+    // Returns the failure, if any, of the property on xs.
+    const failure = (xs) => {
+      let checked;
+      try {
+        checked = contracts.map((c, i) => c(xs[i]));
+      } catch (e) {
+        // Not a valid input, so not a counterexample.
+        return null;
+      }
+      try {
+        return property(...checked) === false ? new Error('Property returned false.') : null;
+      } catch (e) {
+        return e;
+      }
+    };
+    for (let run = 0; run < runs; ++run) {
+      let xs = gen.generate(rand, Math.ceil((run + 1) * size / runs));
+      let error = failure(xs);
+      if (!error) {
+        continue;
+      }
+      let shrinks = 0;
+      for (let smaller = true; smaller;) {
+        smaller = false;
+        for (const ys of gen.shrink(xs)) {
+          const e = failure(ys);
+          if (e) {
+            xs = ys;
+            error = e;
+            ++shrinks;
+            smaller = true;
+            break;
+          }
+        }
+      }
+      const result = new Error(`Property failed after ${run + 1} runs and ${shrinks} shrinks ` +
+          `with seed ${seed} on ${show(xs, 3)}: ${error.message}`);
+      result.counterexample = xs;
+      result.seed = seed;
+      result.cause = error;
+      throw result;
+    }
+    return {runs, seed};
+  };
+
+  return {
+    arbitrary,
+    forAll,
+    random,
+    register
+  };
+});
@@ -0,0 +1,40 @@
+// Benchmark for the cache of typing judgements: times checking
+// a large structure and rewrapping a guarded function, first
+// forgetting the judgements every time and then keeping them.
+// Data is only remembered by contracts made with cached.
+require(['jscategory'], (jsc) => {
+  const {arrayOf, cached, configure, forget, hom, int32, namespace, prods, string} = jsc;
+
+  const time = (label, n, f) => {
+    const start = performance.now();
+    for (let i = 0; i < n; ++i) {
+      f();
+    }
+    console.log(`${label}: ${((performance.now() - start) / n).toFixed(4)}ms per run`);
+  };
+
+  const Rows = arrayOf(prods({id: int32, name: string}));
+  const rows = [];
+  for (let i = 0; i < 10000; ++i) {
+    rows.push({id: i, name: `row ${i}`});
+  }
+  const CachedRows = cached(Rows);
+  time('arrayOf, cold', 100, () => CachedRows(forget(rows)));
+  time('arrayOf, warm', 100, () => CachedRows(rows));
+
+  const Inc = hom(int32, int32);
+  const inc = Inc((n) => n + 1);
+  time('hom, cold', 100000, () => Inc(forget(inc))(1));
+  time('hom, warm', 100000, () => Inc(inc)(1));
+
+  // The same contracts in namespaces that sample and erase them.
+  configure('sampled', {level: 'sample', rate: 100});
+  configure('erased', {level: 'off'});
+  ['sampled', 'erased'].forEach((name) => {
+    const checked = namespace(name);
+    const rowsOf = checked(Rows);
+    const incOf = checked(Inc)((n) => n + 1);
+    time(`arrayOf, ${name}`, 100, () => rowsOf(forget(rows)));
+    time(`hom, ${name}`, 100000, () => incOf(1));
+  });
+});
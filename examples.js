@@ -1,4 +1,7 @@
 require('jscategory');
+var laws = require('laws');
+var functors = require('functors');
+var monads = require('monads');
 
 // Algebraic theory of MONOIDS:
 // Choose a set and two functions satisfying some relations, get a monoid
@@ -57,18 +60,33 @@ var and = hom(boolean, boolean, boolean)(function (b1, b2) { return b1 && b2; })
 var andMon = monoid2(boolean, and, K(true));
 
 var xor = hom(boolean, boolean, boolean)(function (b1, b2) { return (b1 ^ b2) ? true : false; });
-var xorMon = monoid2(boolean, xor, K(true));
+var xorMon = monoid2(boolean, xor, K(false));
 
-var int32Add = hom(int32, int32, int32)(function (n1, n2) { return n1 + n2; });
+// Wraps around on overflow, so int32 is closed under addition.
+var int32Add = hom(int32, int32, int32)(function (n1, n2) { return (n1 + n2) | 0; });
 var int32AddMon = monoid2(int32, int32Add, K(0));
 
 var concat = hom(string, string, string)(function (s1, s2) { return s1 + s2; });
 var concat = monoid2(string, concat, K(""));
 
 var mod2 = hom(int32, boolean)(function (n) { return (n % 2) ? true : false; });
-var lsb1 = monoid2(mod2, boolean, xor, K(true));
+var lsb1 = monoid2(mod2, boolean, xor, K(false));
 var lsb2 = monoid2(int32, mod2, int32Add, K(0));
-// TODO: monoid hom as pullback of the two ways of computing lsb
+
+// Check the laws on random elements instead of writing testMonoid
+// by hand for each set.
+laws.verify(laws.monoid, monoid(boolean, and, true));
+laws.verify(laws.monoid, monoid(boolean, xor, false));
+laws.verify(laws.monoid, monoid(int32, int32Add, 0));
+laws.verify(laws.monoid, monoid(string, concat["*"], ""));
+
+// The two ways of computing lsb agree because mod2 is a monoid
+// homomorphism.
+laws.verify(laws.monoidHom, {
+  from: monoid(int32, int32Add, 0),
+  to: monoid(boolean, xor, false),
+  h: mod2
+});
 
 // MONADS as monoid objects in an endofunctor category
 var monad = function (ftor, times, ident) {    // var monoid = function (set, times, ident) {
@@ -103,6 +121,13 @@ var flatten = function (t) {
 };
 
 var listMon = monad(arrayOf, flatten, lift);
+laws.verify(laws.monad, {
+  F: arrayOf,
+  map: function (f) {
+    return function (xs) { return xs.map(function (x) { return f(x); }); };
+  },
+  monad: listMon
+});
 var loi = listMon(int32);
 try {
   loi.t([3,6,5]); // passes
@@ -159,7 +184,17 @@ var lazyFlatten = function (lazyLazyX) {
   return lazyLazyX();
 };
 
-var lazyMon = monad(lazy, lazyLift, lazyFlatten);
+var lazyMon = monad(lazy, K(lazyFlatten), K(lazyLift));
+// Lazy values are equal when forcing them gives equal values.
+laws.verify(laws.monad, {
+  F: lazy,
+  map: function (f) {
+    return function (lazyX) { return function () { return f(lazyX()); }; };
+  },
+  monad: lazyMon
+}, {
+  equal: function (x, y) { return laws.equal(x(), y()); }
+});
 
 var lazyChi = function (lazyAtoB) {
   return function (lazyA) {
@@ -170,7 +205,7 @@ var lazyChi = function (lazyAtoB) {
 var lazyPhi = function (lazyProd) {
   // Invoke the lazy prod to get the actual prod,
   // then delay each element.
-  return array(lazyProd()).mapClean(lazyLift);
+  return array(lazyProd()).map(function (x) { return lazyLift(x); });
 };
 
 // Another monoidal closed functor, 
@@ -197,7 +232,19 @@ var cpFlatten = function (cpCpX /*: (((X->Z)->Z)->Z)->Z */) {
   };
 };
 
-var cpMon = monad(cp, cpLift, cpFlatten);
+var cpMon = monad(cp, K(cpFlatten), K(cpLift));
+// Continuations are compared by passing them the identity.
+laws.verify(laws.monad, {
+  F: cp,
+  map: function (f) {
+    return function (cpX) {
+      return function (k) { return cpX(function (x) { return k(f(x)); }); };
+    };
+  },
+  monad: cpMon
+}, {
+  equal: function (x, y) { return laws.equal(x(id), y(id)); }
+});
 
 var cpChi = function (k /*: ((A->B)->Z)->Z */) {
   return function (l /*: (A->Z)->Z */) {
@@ -215,5 +262,517 @@ var cpChi = function (k /*: ((A->B)->Z)->Z */) {
 var cpPhi = function (cpProd) {
   var prod;
   cpProd(function (p) { prod = array(p); });
-  return p.mapClean(cpLift);
+  return prod.map(function (x) { return cpLift(x); });
+};
+
+// The monads of monads.js satisfy the laws too. Values of the lazy
+// and continuation monads are compared by what they compute.
+var monadLaws = function (M, options) {
+  laws.verify(laws.monad, {
+    F: M.contract,
+    map: M.map,
+    monad: function (t) {
+      return {t: M.contract(t), "*": M.flatten, 1: M.of};
+    }
+  }, options);
 };
+monadLaws(monads.Maybe);
+monadLaws(monads.Either);
+monadLaws(monads.List);
+monadLaws(monads.Lazy, {
+  equal: function (x, y) { return laws.equal(x(), y()); }
+});
+monadLaws(monads.Cont, {
+  equal: function (x, y) { return laws.equal(x(id), y(id)); }
+});
+
+// Promises can only be compared once they resolve.
+var A = monads.Async;
+Promise.all([
+  A.flatten(A.of(A.of(5))), A.of(5),
+  A.chain(function (x) { return A.of(x + 1); })(A.of(5)), A.map(function (x) { return x + 1; })(A.of(5))
+]).then(function (xs) {
+  if (xs[0] !== xs[1] || xs[2] !== xs[3]) {
+    throw new Error("Async is not a monad: " + stringify(xs));
+  }
+});
+
+// A safe division, checked to return a Maybe.
+var divide = hom(int32, int32, monads.maybeOf(int32))(function (n, d) {
+  return d === 0 ? monads.none : monads.some((n / d) | 0);
+});
+monads.Maybe.chain(function (q) { return divide(q, 2); })(divide(12, 3)); // === ['some', 2]
+monads.Maybe.chain(function (q) { return divide(q, 2); })(divide(12, 0)); // === ['none', undefined]
+
+// Do-notation with doM, for any of these monads. The block is
+// replayed for each value of a list.
+monads.doM(monads.List, function* () {
+  var x = yield [1, 2];
+  var y = yield [x, 10 * x];
+  return [x + y];
+}); // === [2, 11, 4, 22]
+monads.doM(monads.Maybe, function* () {
+  var a = yield divide(12, 3);
+  var b = yield divide(a, 2);
+  return monads.some(a + b);
+}); // === ['some', 6]
+monads.doM(listMon, function* () {
+  var n = yield [6, 2];
+  return upto(n);
+}); // === [0,1,2,3,4,5,0,1]
+monads.doM(kli, function* () {
+  var m = yield kli(6)._(upto);
+  var n = yield kli(m)._(upto);
+  return kli(n);
+}).value; // === [0,0,1,0,1,2,0,1,2,3,0,1,2,3,4]
+
+// Functors and natural transformations as contracts. lift and
+// flatten for lists, given once for every element contract.
+var List = functors.functor({F: arrayOf, map: arrayOf});
+var listLift = functors.nat(functors.Id, List)(function (t) {
+  return function (x) { return [x]; };
+});
+var listFlatten = functors.nat(functors.compose(List, List), List)(function (t) {
+  return function (xss) { return [].concat.apply([], xss); };
+});
+laws.verify(laws.monad, {
+  F: arrayOf,
+  map: arrayOf,
+  monad: monad(arrayOf, listFlatten, listLift)
+});
+functors.fmap(List, int32, string)(String)([1, 2]); // === ['1', '2']
+
+// Parametric polymorphism: one lift for every element contract.
+// The function sees only sealed values, so it can't inspect them
+// or make up its own, and callers get back what they passed in.
+var polyLift = forall(function (a) { return hom(a, arrayOf(a)); })(function (x) {
+  return [x];
+});
+polyLift(5); // === [5]
+polyLift("x"); // === ["x"]
+var polyFlatten = forall(function (a) {
+  return hom(arrayOf(arrayOf(a)), arrayOf(a));
+})(function (xss) {
+  return [].concat.apply([], xss);
+});
+polyFlatten([[1], [2, 3]]); // === [1, 2, 3]
+try {
+  // fails: the function made up a value of type a
+  forall(function (a) { return hom(a, a); })(function (x) { return 0; })(5);
+} catch (e) {}
+
+// A class contract: the constructor arguments, the methods and
+// accessors, and an invariant checked after every outside call.
+var Counter = klass({
+  args: [nat32],
+  methods: {add: hom(int32, nat32)},
+  accessors: {count: nat32},
+  invariant: function (c) { return c.n <= c.max; }
+})(class Counter {
+  constructor(max) { this.max = max; this.n = 0; }
+  add(k) { this.n += k; return this.n; }
+  get count() { return this.n; }
+});
+var counter = new Counter(10);
+counter.add(3); // === 3
+counter instanceof Counter; // === true
+try {
+  counter.add(20); // fails: add broke the invariant
+} catch (e) {}
+
+// A protocol: files are opened, read any number of times and
+// closed, and the methods keep their own contracts.
+var File = protocol("open read* close", prods({
+  open: hom(undef),
+  read: hom(string),
+  close: hom(undef)
+}));
+var file = File({
+  open: function () {},
+  read: function () { return "data"; },
+  close: function () {}
+});
+try {
+  file.read(); // fails: expected open in state `open read* close`
+} catch (e) {}
+file.open();
+file.read(); // === "data"
+file.close();
+// A handler that may be called at most once.
+var once = protocol("call?")(function (x) { return x; });
+once(1); // === 1
+
+// Validating without throwing: every violation, with its path.
+var Row = prods({id: int32, name: string});
+validate(Row, {id: 1, name: "a"}).ok; // === true
+validate(Row, {id: "1", name: 2}).errors.length; // === 2
+
+// A live object is checked as it is read and written, so the
+// object itself changes and later changes are seen.
+var raw = {count: 0};
+var counts = live({count: nat32})(raw);
+counts.count = 5;
+raw.count; // === 5
+try {
+  counts.count = -1; // fails: expected a 32-bit natural at .count
+} catch (e) {}
+raw.count = -1;
+try {
+  counts.count; // fails: expected a 32-bit natural at .count
+} catch (e) {}
+
+// Codecs decode wire data as they check it, and encoder gives
+// the contract that encodes it back, leaving the decoded value as
+// it was.
+var Event = prods({at: isoDate, id: bigIntString});
+var event = Event({at: "2017-06-16", id: "12"});
+event.id; // === 12n
+event.at instanceof Date; // === true
+encoder(Event)(event); // === {at: "2017-06-16", id: "12"}
+event.id; // === 12n
+try {
+  Event(event); // fails: expected string, got object at .at
+} catch (e) {}
+
+// Enforcement levels, by namespace. Each level sees the same
+// half, which returns a fraction for odd numbers.
+var half = function (n) { return n / 2; };
+var violations = [];
+var note = function (e) { violations.push(e.message); };
+configure("full", {level: "full", onViolation: note});
+configure("boundary", {level: "boundary"});
+configure("sample", {level: "sample", rate: 3});
+configure("log", {level: "log", onViolation: note});
+configure("off", {level: "off"});
+try {
+  namespace("full")(hom(int32, int32))(half)(3); // fails: returned a bad result
+} catch (e) {}
+violations.length; // === 1
+// Only function contracts are checked at the boundary.
+namespace("boundary")(int32)("x"); // === "x"
+try {
+  namespace("boundary")(hom(int32, int32))(half)(3); // fails: returned a bad result
+} catch (e) {}
+// Sampling checks the first of every 3 values.
+var sampled = namespace("sample")(int32);
+try {
+  sampled("a"); // fails: expected a 32-bit integer
+} catch (e) {}
+sampled("b"); // === "b"
+sampled("c"); // === "c"
+try {
+  sampled("d"); // fails: expected a 32-bit integer
+} catch (e) {}
+// Logging reports the violation and carries on with the
+// unchecked value.
+namespace("log")(hom(int32, int32))(half)(3); // === 1.5
+namespace("log")(int32)("x"); // === "x"
+violations.length; // === 3
+// Turned off, contracts give back what they are given.
+namespace("off")(hom(int32, int32))(half) === half; // === true
+namespace("off")(int32)("x"); // === "x"
+
+// Blame: a violation says whether the caller or the function
+// broke the contract, naming the function, or the labels given.
+var parseRow = hom(string, int32)(function parseRow(s) {
+  return parseInt(s, 10);
+});
+try {
+  parseRow(5); // fails: Caller `anonymous` passed a bad argument 1
+} catch (e) {}
+var formatCell = hom(int32, string)(function formatCell(n) {
+  return n;
+});
+try {
+  formatCell(1); // fails: Function `formatCell` returned a bad result
+} catch (e) {}
+// A callback comes from the caller, so the blame is swapped:
+// forEachCell blames main for a callback with a bad result, and
+// itself for passing the callback a bad argument.
+var forEachCell = hom(hom(int32, string), any)(function forEachCell(cb) {
+  return [1, 2].map(function (n) { return cb(n); });
+}, {client: "main"});
+try {
+  forEachCell(function (n) { return n; }); // fails: Function `main` returned a bad result
+} catch (e) {}
+var badEach = hom(hom(int32, string), any)(function badEach(cb) {
+  return cb("1");
+}, {client: "main"});
+try {
+  badEach(String); // fails: Caller `badEach` passed a bad argument 1
+} catch (e) {}
+
+// A ContractError records the failing value, what was expected and
+// the path to it from the checked value.
+var Table = prods({rows: arrayOf(prods({id: int32}))});
+try {
+  Table({rows: [{id: 0}, {id: 1}, {id: 2}, {id: "3"}]}); // fails: expected a 32-bit integer at .rows[3].id
+} catch (e) {
+  e instanceof ContractError; // === true
+  e.path; // === ".rows[3].id"
+  e.value; // === "3"
+}
+
+// Limits: a pullback checks that its parts map to the same value,
+// by === or by a given equality.
+var sameLength = pbn([
+  function (a) { return array(a).length; },
+  function (s) { return string(s).length; }
+]);
+sameLength([[1, 2], "ab"]); // === [[1, 2], "ab"]
+try {
+  sameLength([[1, 2], "abc"]); // fails: expected 2 to match the pullback constraint at [1]
+} catch (e) {}
+var near = pbn([Number, Number], function (x, y) { return Math.abs(x - y) < 0.01; });
+near([1, 1.001]); // === [1, 1.001]
+try {
+  near([1, 2]); // fails: expected 1 to match the pullback constraint at [1]
+} catch (e) {}
+// Indexed by strings: a login is the name in lower case.
+var lower = function (s) { return string(s).toLowerCase(); };
+var Account = pbs({name: lower, login: lower});
+Account({name: "Ann", login: "ann"}); // === {name: "Ann", login: "ann"}
+try {
+  Account({name: "Ann", login: "bob"}); // fails: expected "ann" to match the pullback constraint at .login
+} catch (e) {}
+// An equalizer checks that the functions agree on the value.
+var palindrome = equalizer([String, function (s) {
+  return String(s).split("").reverse().join("");
+}]);
+palindrome("abba"); // === "abba"
+try {
+  palindrome("abc"); // fails: expected a value on which the functions agree
+} catch (e) {}
+
+// Colimits: a pushout is a coproduct whose summands are traced
+// back to a shared source, here user numbers, so that values on
+// either side from the same source are equivalent.
+var UserRef = pos({id: nat32, handle: string}, {
+  id: function (n) { return n; },
+  handle: function (s) {
+    var m = /^user-(\d+)$/.exec(s);
+    return m ? +m[1] : undefined;
+  }
+});
+UserRef(["handle", "user-5"]); // === ["handle", "user-5"]
+UserRef.equiv(["id", 5], ["handle", "user-5"]); // === true
+UserRef.equiv(["id", 5], ["handle", "user-6"]); // === false
+UserRef.equiv(["id", 5], ["handle", "bob"]); // === false
+UserRef.source(["handle", "user-7"]); // === 7
+try {
+  UserRef(["id", -1]); // fails: expected a 32-bit natural at [1]
+} catch (e) {}
+// Tagged by numbers, with numbers and the strings that spell them.
+var NumRef = pon([int32, string], [
+  function (n) { return n; },
+  function (s) { return s === String(+s) ? +s : undefined; }
+]);
+NumRef.equiv([0, 12], [1, "12"]); // === true
+NumRef.equiv([0, 12], [1, "012"]); // === false
+
+// Async functions: asyncHom awaits the result before checking it,
+// and every violation rejects the promise, keeping the blame.
+var fetchName = asyncHom(int32, string)(function fetchName(id) {
+  return Promise.resolve(id === 1 ? "Ann" : id);
+});
+fetchName(1).then(function (name) {
+  name; // === "Ann"
+});
+fetchName(2).then(null, function (e) {
+  e.message; // === "Function `fetchName` resolved to a bad result: Expected string, got number at (resolved)."
+});
+fetchName("1").then(null, function (e) {
+  e.message; // === "Caller `anonymous` passed a bad argument 1: Expected a 32-bit integer, got \"1\" at (arg 1)."
+});
+// promOf checks that it is given a promise at all.
+try {
+  promOf(int32)(5); // fails: expected a promise, got 5
+} catch (e) {}
+// An async iterable is checked element by element, as it is read.
+var countdown = asyncIterOf(nat32)({
+  [Symbol.asyncIterator]: async function* () {
+    yield 1;
+    yield 0;
+    yield -1;
+  }
+});
+(async function () {
+  var seen = [];
+  try {
+    for await (var n of countdown) {
+      seen.push(n);
+    }
+  } catch (e) {
+    seen; // === [1, 0]
+    e.message; // === "Expected a 32-bit natural, got -1 at [2]."
+  }
+})();
+
+// Lazy sequences: iterOf checks each element as it is pulled, so
+// the checks stop where the reading stops.
+var ids = iterOf(nat32)(new Set([1, 2, -3]));
+var idReader = ids[Symbol.iterator]();
+idReader.next().value; // === 1
+idReader.next().value; // === 2
+try {
+  idReader.next(); // fails: expected a 32-bit natural at [2]
+} catch (e) {}
+try {
+  Array.from(ids); // fails: expected a 32-bit natural at [2]
+} catch (e) {}
+// Generators check what they yield and return, and what next()
+// passes in; an infinite one is fine, since nothing runs ahead.
+var naturals = hom(genOf(nat32))(function* naturals() {
+  var n = 0;
+  while (true) {
+    yield n++;
+  }
+});
+var ns = naturals();
+ns.next().value; // === 0
+ns.next().value; // === 1
+var total = genOf(int32, string, int32)(function* total() {
+  var sum = 0;
+  while (sum < 10) {
+    sum += yield sum;
+  }
+  return "total " + sum;
+});
+var running = total();
+running.next().value; // === 0
+running.next(4).value; // === 4
+try {
+  running.next("5"); // fails: Caller `anonymous` passed a bad value to next()
+} catch (e) {}
+running.next(7); // === {done: true, value: "total 11"}
+var twos = genOf(int32)(function* twos() {
+  yield 1;
+  yield "two";
+});
+var pulled = twos();
+pulled.next().value; // === 1
+try {
+  pulled.next(); // fails: Function `twos` yielded a bad element at [1]
+} catch (e) {}
+
+// Dependent contracts: each argument and the result may depend on
+// the arguments before them. upToN returns exactly n naturals,
+// each less than n.
+var upToN = hom(nat32, dep(function (n) {
+  return arrayOf(range({min: 0, max: n, exclusiveMax: true, integer: true}), {min: n, max: n});
+}))(function upToN(n) {
+  var result = [];
+  for (var i = 0; i <= n; ++i) {
+    result.push(i);
+  }
+  return result;
+});
+try {
+  upToN(3); // fails: Function `upToN` returned a bad result
+} catch (e) {}
+// slice(a, i, j) needs i <= j <= a.length.
+var slice = hom(array, nat32, dep(function (a, i) {
+  return range({min: i, max: a.length, integer: true});
+}), array)(function slice(a, i, j) {
+  return a.slice(i, j);
+});
+slice([1, 2, 3], 1, 3); // === [2, 3]
+try {
+  slice([1, 2, 3], 2, 1); // fails: Caller `anonymous` passed a bad argument 3
+} catch (e) {}
+try {
+  slice([1, 2, 3], 0, 4); // fails: Caller `anonymous` passed a bad argument 3
+} catch (e) {}
+
+// Collections: Maps and Sets are checked and copied.
+mapOf(string, nat32)(new Map([["a", 1]])).get("a"); // === 1
+try {
+  mapOf(string, nat32)(new Map([["a", 1], ["b", -1]])); // fails: expected a 32-bit natural at .get("b")
+} catch (e) {}
+try {
+  setOf(int32)(new Set([1, "2"])); // fails: expected a 32-bit integer at .values()[1]
+} catch (e) {}
+// A WeakMap can't be walked, so it is checked as it is used: a bad
+// value set by the caller blames the caller, and a bad value got
+// from the map blames the function that returned it.
+var Cache = weakMapOf(object, nat32);
+var cacheKey = {};
+var makeCache = hom(Cache)(function makeCache() {
+  var m = new WeakMap();
+  m.set(cacheKey, "stale");
+  return m;
+});
+var cache = makeCache();
+cache.set({}, 2) === cache; // === true
+try {
+  cache.set({}, -2); // fails: Caller `anonymous` stored a bad value at .set({})
+} catch (e) {}
+try {
+  cache.get(cacheKey); // fails: Function `makeCache` stored a bad value at .get({})
+} catch (e) {}
+// Typed arrays, with a range for the elements.
+var Unit = typedArrayOf(Float64Array, {min: 0, max: 1});
+Unit(new Float64Array([0, 0.5])).length; // === 2
+try {
+  Unit(new Float64Array([0.5, 2])); // fails: expected an element in [0, 1] at [1]
+} catch (e) {}
+try {
+  Unit([0.5]); // fails: expected Float64Array
+} catch (e) {}
+// Tuples with a variadic tail, and arrays with bounded lengths.
+var Flags = prodn([string, int32], rest(boolean));
+Flags(["a", 1, true, false]); // === ["a", 1, true, false]
+try {
+  Flags(["a", 1, true, "no"]); // fails: expected boolean at [3]
+} catch (e) {}
+try {
+  Flags(["a"]); // fails: expected at least 2 elements
+} catch (e) {}
+var NonEmpty = arrayOf(int32, {min: 1});
+try {
+  NonEmpty([]); // fails: expected at least 1 element
+} catch (e) {}
+try {
+  arrayOf(int32, {min: 1, max: 2})([1, 2, 3]); // fails: expected 1 to 2 elements
+} catch (e) {}
+
+// Refinements, with messages that name what failed.
+var nonEmpty = refine(string, function (s) { return s !== ""; }, "a non-empty string");
+nonEmpty("a"); // === "a"
+try {
+  nonEmpty(""); // fails: expected a non-empty string
+} catch (e) {}
+try {
+  nonEmpty(3); // fails: expected string, got number
+} catch (e) {}
+// Exact values.
+literal("GET")("GET"); // === "GET"
+try {
+  literal("GET")("PUT"); // fails: expected "GET", got "PUT"
+} catch (e) {}
+var Method = oneOf(["GET", "POST"]);
+Method("POST"); // === "POST"
+try {
+  Method("PUT"); // fails: expected one of "GET", "POST", got "PUT"
+} catch (e) {}
+// Numbers in a range, like int32 but with any bounds.
+var fraction = range({min: 0, max: 1, exclusiveMax: true});
+fraction(0.5); // === 0.5
+try {
+  fraction(1); // fails: expected a number in [0, 1), got 1
+} catch (e) {}
+try {
+  range({min: 1, integer: true})(1.5); // fails: expected an integer >= 1
+} catch (e) {}
+// Strings by length, pattern and format, generalizing re.
+var code = text({min: 1, max: 3, pattern: /^[a-z]+$/});
+code("abc"); // === "abc"
+try {
+  code("abcd"); // fails: expected a string of 1 to 3 characters, got 4 characters
+} catch (e) {}
+try {
+  code("A1"); // fails: expected a string matching /^[a-z]+$/
+} catch (e) {}
+try {
+  text({format: "email"})("nope"); // fails: expected a string in email format
+} catch (e) {}
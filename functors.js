@@ -0,0 +1,81 @@
+// Functors and natural transformations as contracts. A functor is
+//   {F, map}
+// where F maps contracts to contracts and map maps functions to
+// functions, so that map(f) takes F(a) to F(b) when f takes a to
+// b. Since a contract applied to an array maps over it, arrayOf
+// serves as both, as in examples.js:
+//   const List = functor({F: arrayOf, map: arrayOf});
+// A natural transformation from F to G is a family eta of
+// functions from F(t) to G(t) that commute with map, such as the
+// lift and flatten of the list monad, for every t at once:
+//   const lift = nat(Id, List)((t) => (x) => [x]);
+//   const flatten = nat(compose(List, List), List)((t) => (xss) => [].concat(...xss));
+// The laws can't be decided, so the contracts test them as
+// laws.js does, on random values and on random functions that
+// arbitrary guards with hom.
+define(['jscategory', 'laws'], (jsc, laws) => {
+  const {ContractError, dep, func, hom, prods, refine} = jsc;
+
+  // Throws a ContractError listing the laws of the theory that
+  // fail on the instance x. The laws are tested with a fixed seed
+  // unless options give one, so that a contract gives the same
+  // answer every time.
+  const lawful = (theory, x, options) => {
+    const report = laws.check(theory, x, Object.assign({seed: 1}, options));
+    if (!report.ok) {
+      const e = new ContractError(`a ${theory.name}`, x);
+      e.reason = `Not a ${theory.name}: ` +
+          report.failures.map((f) => `${f.law} fails, ${f.message}`).join('; ');
+      e.update();
+      throw e;
+    }
+    return true;
+  };
+
+  // A functor whose F gives contracts and whose map gives
+  // functions, and which preserves identities and composition.
+  const functor = refine(prods({F: hom(func, func), map: hom(func, func)}),
+      (x) => lawful(laws.functor, x), 'functor');
+
+  // The identity functor.
+  const Id = functor({F: (t) => t, map: (f) => f});
+
+  // The functor G after F.
+  const compose = (G, F) => {
+    [G, F] = [functor(G), functor(F)];
+    return {F: (t) => G.F(F.F(t)), map: (f) => G.map(F.map(f))};
+  };
+
+  // Returns the morphism map of the functor F from a to b, which
+  // takes functions from a to b to functions from F(a) to F(b).
+  const fmap = (F, a, b) => hom(hom(a, b), hom(F.F(a), F.F(b)))(F.map);
+
+  // Creates the contract for natural transformations from F to G.
+  // Each component eta(t) is guarded by hom(F.F(t), G.F(t)), and
+  // the naturality squares are tested on random values of F(t) for
+  // options.t, int32 by default; the other options are as for
+  // laws.check, with a fixed seed by default.
+  const nat = (F, G, options = {}) => {
+    [F, G] = [functor(F), functor(G)];
+    return refine(hom(func, dep((t) => hom(F.F(t), G.F(t)))),
+        (eta) => lawful(laws.natural, {F, G, eta}, options), 'natural');
+  };
+
+  // The transformation theta after eta, componentwise.
+  const vertical = (theta, eta) => (t) => (x) => theta(t)(eta(t)(x));
+
+  // Given eta from F to G and theta from H to K, the transformation
+  // from H after F to K after G, whose components map eta with H
+  // and then apply theta at G(t).
+  const horizontal = (theta, eta, H, G) => (t) => (x) => theta(G.F(t))(H.map(eta(t))(x));
+
+  return {
+    Id,
+    compose,
+    fmap,
+    functor,
+    horizontal,
+    nat,
+    vertical
+  };
+});
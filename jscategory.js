@@ -2,67 +2,490 @@
 // (c) 2013-2017
 
 // Library of contracts and functors.
-// TODO: cache typing judgements on functions in a WeakMap.
 define(() => {
   const call = Function.prototype.call;
   const slice = call.bind([].slice);
   const getClassName = call.bind({}.toString);
   const create = Object.create.bind(Object);
 
+  // Formats a value for an error message. Unlike JSON.stringify,
+  // this describes functions, symbols and BigInts, and survives
+  // cycles.
+  const show = (x, depth = 2, seen = new Set()) => {
+    switch (typeof x) {
+      case 'string': return JSON.stringify(x);
+      case 'bigint': return `${x}n`;
+      case 'symbol': return x.toString();
+      case 'function': return `function ${x.name || '(anonymous)'}`;
+      case 'object': break;
+      default: return Object.is(x, -0) ? '-0' : String(x);
+    }
+    if (x === null) { return 'null'; }
+    if (seen.has(x)) { return '[Circular]'; }
+    const className = getClassName(x);
+    const isArray = className === '[object Array]';
+    if (!isArray && className !== '[object Object]') { return className; }
+    if (depth === 0) { return isArray ? '[...]' : '{...}'; }
+    seen.add(x);
+    const keys = Object.keys(x);
+    const items = keys.slice(0, 10).map((k) => (isArray ? '' : `${k}: `) + show(x[k], depth - 1, seen));
+    if (keys.length > 10) { items.push('...'); }
+    seen.delete(x);
+    return isArray ? `[${items.join(', ')}]` : `{${items.join(', ')}}`;
+  };
+
+  // The error thrown when a value fails a contract. It records the
+  // failing value, a description of what was expected and the path
+  // from the checked value down to the failing part, e.g. .rows[3].id
+  class ContractError extends TypeError {
+    constructor(expected, value, got = show(value)) {
+      super();
+      this.expected = expected;
+      this.value = value;
+      this.got = got;
+      this.path = '';
+      this.update();
+    }
+
+    // Rebuilds the message after the path or blame changes.
+    // Violations gathered by validate list the errors they hold,
+    // whose messages carry the paths.
+    update() {
+      const detail = this.errors ?
+          `${this.errors.length} violations: ${this.errors.map((e) => e.message.replace(/\.$/, '')).join('; ')}` :
+          this.reason ?
+          this.reason.replace(/\.$/, '') :
+          `Expected ${this.expected}, got ${this.got}`;
+      this.message = (this.blame ? `${this.role} \`${this.blame}\` ${this.what}: ` : '') +
+          detail + (this.path && !this.errors ? ` at ${this.path}` : '') + '.';
+    }
+  }
+  ContractError.prototype.name = 'ContractError';
+
+  // Converts anything thrown by a contract into a ContractError
+  // and prefixes its path, and those of the errors and branches it
+  // holds, with the given segment.
+  const at = (e, segment) => {
+    if (!(e instanceof ContractError)) {
+      const error = new ContractError(void 0, void 0);
+      error.reason = e instanceof Error ? e.message : show(e);
+      error.cause = e;
+      e = error;
+    }
+    if (e.errors) {
+      e.errors.forEach((error) => at(error, segment));
+    }
+    if (e.branches) {
+      e.branches.forEach((branch) => at(branch.error, segment));
+    }
+    e.path = segment + e.path;
+    e.update();
+    return e;
+  };
+
+  // Path segment for the property k.
+  const prop = (k) => /^[A-Za-z_$][\w$]*$/.test(k) ? `.${k}` : `[${JSON.stringify(k)}]`;
+
+  // Set while validate runs. The structural contracts then check
+  // all of their parts and report every violation instead of
+  // stopping at the first.
+  let collecting = 0;
+
+  // Records the violation e of the part at segment: rethrows it,
+  // or while collecting, adds it and any violations it gathered
+  // to errors.
+  const fail = (errors, e, segment) => {
+    e = at(e, segment);
+    if (!collecting) {
+      throw e;
+    }
+    errors.push(...(e.errors || [e]));
+  };
+
+  // Throws the violations of the parts of x recorded by fail,
+  // together as the errors of one ContractError.
+  const failures = (errors, x) => {
+    if (errors.length === 1) {
+      throw errors[0];
+    }
+    if (errors.length) {
+      const e = new ContractError(void 0, x);
+      e.errors = errors;
+      e.update();
+      throw e;
+    }
+  };
+
+  // Typing judgements: maps each object or function to a WeakMap
+  // from the contracts it has passed to the results they returned,
+  // keyed by the blame labels they were checked under.
+  const judgements = new WeakMap();
+
+  const isObject = (x) => x !== null && (typeof x === 'object' || typeof x === 'function');
+
+  const labelsKey = (labels) => labels ?
+      `${labels.server}\0${labels.client}${labels.report ? `\0${reporterId(labels.report)}` : ''}` +
+      (labels.negative ? '\0-' : '') : '';
+
+  // Numbers for the report hooks in labels, so that guards that
+  // report violations are cached apart from those that throw.
+  const reporters = new WeakMap();
+  let reporterCount = 0;
+  const reporterId = (report) => {
+    if (!reporters.has(report)) {
+      reporters.set(report, reporterCount++);
+    }
+    return reporters.get(report);
+  };
+
+  // Records that x passed the contract c with the given result.
+  const judge = (x, c, key, result) => {
+    let known = judgements.get(x);
+    if (!known) {
+      judgements.set(x, known = new WeakMap());
+    }
+    let results = known.get(c);
+    if (!results) {
+      known.set(c, results = new Map());
+    }
+    results.set(key, result);
+  };
+
+  // Functions and frozen objects, whose judgements stay true.
+  const fixed = (x) => typeof x === 'function' || Object.isFrozen(x);
+
+  // The contracts made by cached.
+  const caching = new WeakSet();
+
+  // Wraps the contract c so that a value that has already passed
+  // it isn't checked again. Only functions and frozen objects are
+  // remembered by default, and only when the result is fixed too,
+  // since other objects can change after they pass and the result
+  // is handed out again; contracts made by cached remember any
+  // object. Contracts may transform what they check, so results
+  // aren't taken to pass as well: combinators whose results do,
+  // like hom, record that with judge.
+  const judged = (c) => {
+    const result = (x, labels) => {
+      if (!isObject(x)) {
+        return c(x, labels);
+      }
+      const key = labelsKey(labels);
+      const known = judgements.get(x);
+      const results = known && known.get(result);
+      if (results && results.has(key)) {
+        return results.get(key);
+      }
+      const y = c(x, labels);
+      const remember = caching.has(result) || (fixed(x) && (!isObject(y) || fixed(y)));
+      if (remember && (typeof x === 'function' || !hasCodec(result))) {
+        judge(x, result, key, y);
+      }
+      return y;
+    };
+    return result;
+  };
+
+  // Forgets the judgements on x, e.g. after it has been mutated.
+  // Given a contract, forgets only the judgements of that contract.
+  const forget = (x, c) => {
+    if (c === void 0) {
+      judgements.delete(x);
+    } else if (judgements.has(x)) {
+      judgements.get(x).delete(c);
+    }
+    return x;
+  };
+
+  // Descriptions of contracts as data: maps each contract to the
+  // kind of combinator that made it and the arguments it was given,
+  // e.g. arrayOf(int32) is described by {kind: 'arrayOf', args: [int32]}.
+  const descriptions = new WeakMap();
+
+  const reify = (c, description) => {
+    descriptions.set(c, description);
+    return c;
+  };
+
+  // Describes a base contract by its name.
+  const named = (name, c) => reify(c, {kind: 'name', args: [name]});
+
+  // Describes the contracts made by a combinator.
+  const described = (kind, combinator) =>
+      (...args) => reify(combinator(...args), {kind, args});
+
+  // Applies the contract c to x. Only contracts made by this library
+  // are passed the blame labels; other functions used as contracts,
+  // such as guarded functions, are given x alone.
+  const enforce = (c, x, labels) => descriptions.has(c) ? c(x, labels) : c(x);
+
+  // Whether the contract c has a codec in it, by contract. Decoded
+  // values aren't wire data any more, so such contracts don't
+  // remember the values that passed them.
+  const decoding = new WeakMap();
+  const hasCodec = (c) => {
+    // seen stops the search at recursive references.
+    const search = (c, seen) => {
+      if (!isObject(c) || !descriptions.has(c) || seen.has(c)) {
+        return false;
+      }
+      seen.add(c);
+      const {kind, args} = descriptions.get(c);
+      const parts = (a) => Array.isArray(a) ? a :
+          getClassName(a) === '[object Object]' ? Object.keys(a).map((k) => a[k]) : [a];
+      return kind === 'codec' || (kind === 'rec' ? search(args[0](), seen) :
+          args.some((a) => isObject(a) && parts(a).some((p) => search(p, seen))));
+    };
+    if (!decoding.has(c)) {
+      decoding.set(c, search(c, new Set()));
+    }
+    return decoding.get(c);
+  };
+
+  // Creates a contract that checks values as c does, but that
+  // remembers every object that passes, so that checking it again
+  // is immediate, e.g. for large arrays checked over and over.
+  // The result of the first check is handed out every time, so
+  // neither the object nor the result may change; an object that
+  // does must be forgotten with forget. Contracts with codecs
+  // can't be cached, since they change what they check; that is
+  // found on the first check, so that c may be a rec referring to
+  // the cached contract.
+  const cached = (c) => {
+    func(c);
+    const contract = judged((x, labels) => {
+      if (hasCodec(c)) {
+        throw new TypeError('Contracts with codecs can\'t be cached.');
+      }
+      return enforce(c, x, labels);
+    });
+    caching.add(contract);
+    return descriptions.has(c) ? reify(contract, descriptions.get(c)) : contract;
+  };
+
   // A contract that allows anything
-  const any = (x) => x;
+  const any = named('any', (x) => x);
 
   // Contracts for special values
-  const undef = (x) => {
-    if (x !== void 0) { throw new TypeError(`Expected undefined, got ${JSON.stringify(x)}.`); }
+  const undef = named('undefined', (x) => {
+    if (x !== void 0) { throw new ContractError('undefined', x); }
     return x;
-  };
-  const nul = (x) => {
-    if (x !== null) { throw new TypeError(`Expected null, got ${JSON.stringify(x)}.`); }
+  });
+  const nul = named('null', (x) => {
+    if (x !== null) { throw new ContractError('null', x); }
     return x;
-  };
-  const nan = (x) => {
-    if (x === x) { throw new TypeError(`Expected NaN, got ${JSON.stringify(x)}.`); }
+  });
+  const nan = named('NaN', (x) => {
+    if (x === x) { throw new ContractError('NaN', x); }
     return x;
-  };
+  });
 
   // Creates a contract that tests the [[Class]]
   // internal property of the object.
-  const classOf = (s) => (v) => {
+  const classOf = described('classOf', (s) => (v) => {
     const className = getClassName(v);
     if (className !== '[object ' + s + ']') {
-      throw new TypeError(`Expected ${s}, got ${className}.`);
+      throw new ContractError(s, v, className);
     }
     return v;
-  };
+  });
 
   const array = classOf('Array');
+  const map = classOf('Map');
+  const set = classOf('Set');
+  const weakMap = classOf('WeakMap');
   const date = classOf('Date');
   const regexp = classOf('RegExp');
   const promise = classOf('Promise');
 
-  const re = r => {
+  const re = described('re', r => {
       regexp(r);
       return x => {
           if (!string(x).match(r)) {
-              throw new TypeError(`Expected a matching string, got ${x}.`);
+              throw new ContractError(`a string matching ${r}`, x);
           }
           return x;
       };
-  };
+  });
 
-  const promOf = (c) => (x) => {
-    return x.then(c);
+  // Rethrows a violation found after a guarded function has
+  // returned, e.g. when its promise resolves, blaming the function
+  // or, given the role 'Caller', its caller.
+  const blameLater = (e, labels, what, segment, role = 'Function') => {
+    if (labels) {
+      blame(role, role === 'Caller' ? labels.client : labels.server, what, e, segment);
+    }
+    throw at(e, segment);
   };
 
+  const thenable = (x) => isObject(x) && typeof x.then === 'function';
+
+  // Creates a contract for a promise whose value satisfies c.
+  // A value that fails c rejects the promise returned.
+  const promOf = described('promOf', (c) => {
+    func(c);
+    return (x, labels) => {
+      if (!thenable(x)) {
+        throw new ContractError('a promise', x);
+      }
+      return x.then((v) => {
+        try {
+          return enforce(c, v, labels);
+        } catch (e) {
+          blameLater(e, labels, 'resolved to a bad result', '(resolved)');
+        }
+      });
+    };
+  });
+
+  // Creates a contract for an iterable whose elements satisfy c.
+  // Unlike arrayOf, nothing is checked up front: each element is
+  // checked as it is pulled, so the iterable may be lazy or
+  // infinite. Every iteration of the result iterates x afresh.
+  const iterOf = described('iterOf', (c) => {
+    func(c);
+    return (x, labels) => {
+      if (x == null || typeof x[Symbol.iterator] !== 'function') {
+        throw new ContractError('an iterable', x);
+      }
+      return {
+        [Symbol.iterator]: () => {
+          const iterator = x[Symbol.iterator]();
+          let i = 0;
+          const result = {
+            next: (...args) => {
+              const step = iterator.next(...args);
+              if (step.done) {
+                return step;
+              }
+              const index = i++;
+              try {
+                return {done: false, value: enforce(c, step.value, labels)};
+              } catch (e) {
+                blameLater(e, labels, 'yielded a bad element', `[${index}]`);
+              }
+            },
+            [Symbol.iterator]: () => result
+          };
+          if (typeof iterator.return === 'function') {
+            result.return = (...args) => iterator.return(...args);
+          }
+          return result;
+        }
+      };
+    };
+  });
+
+  // Creates a contract for generators that yield values
+  // satisfying yieldC, return a value satisfying returnC and are
+  // passed values satisfying nextC by next(). Checks are made
+  // lazily, as the generator runs. Given a generator function
+  // instead, guards the generators it returns; to check its
+  // arguments as well, use hom(..., genOf(...)).
+  const genOf = described('genOf', (yieldC, returnC = any, nextC = any) => {
+    func(yieldC);
+    func(returnC);
+    func(nextC);
+    const guard = (generator, labels) => {
+      let i = 0, started = false;
+      const step = (s) => {
+        if (s.done) {
+          try {
+            return {done: true, value: enforce(returnC, s.value, labels)};
+          } catch (e) {
+            blameLater(e, labels, 'returned a bad result', '(return)');
+          }
+        }
+        const index = i++;
+        try {
+          return {done: false, value: enforce(yieldC, s.value, labels)};
+        } catch (e) {
+          blameLater(e, labels, 'yielded a bad element', `[${index}]`);
+        }
+      };
+      const result = {
+        next: (...args) => {
+          // The first value passed to next() is never seen.
+          if (started && args.length) {
+            try {
+              args[0] = enforce(nextC, args[0], labels && swap(labels));
+            } catch (e) {
+              blameLater(e, labels, 'passed a bad value to next()', '(next)', 'Caller');
+            }
+          }
+          started = true;
+          return step(generator.next(...args));
+        },
+        // Values passed to return() and throw() come from the
+        // caller, so only what the generator does next is checked.
+        return: (value) => {
+          const s = generator.return(value);
+          return s.done ? s : step(s);
+        },
+        throw: (e) => step(generator.throw(e)),
+        [Symbol.iterator]: () => result
+      };
+      return result;
+    };
+    return (x, labels) => {
+      if (typeof x === 'function') {
+        const result = function () {
+          return guard(x.apply(this, arguments), labelsFor(x, labels));
+        };
+        Object.defineProperty(result, 'name', {value: x.name});
+        result.toString = () => x.toString();
+        return result;
+      }
+      if (!isObject(x) || typeof x.next !== 'function') {
+        throw new ContractError('a generator', x);
+      }
+      return guard(x, labels);
+    };
+  });
+
+  // Creates a contract for an async iterable whose elements
+  // satisfy c. Each element is checked as it is pulled, and
+  // a bad element rejects the promise returned by next().
+  const asyncIterOf = described('asyncIterOf', (c) => {
+    func(c);
+    return (x, labels) => {
+      if (!isObject(x) || typeof x[Symbol.asyncIterator] !== 'function') {
+        throw new ContractError('an async iterable', x);
+      }
+      return {
+        [Symbol.asyncIterator]: () => {
+          const iterator = x[Symbol.asyncIterator]();
+          let i = 0;
+          const result = {
+            next: (...args) => Promise.resolve(iterator.next(...args)).then((step) => {
+              if (step.done) {
+                return step;
+              }
+              const index = i++;
+              try {
+                return {done: false, value: enforce(c, step.value, labels)};
+              } catch (e) {
+                blameLater(e, labels, 'yielded a bad element', `[${index}]`);
+              }
+            })
+          };
+          if (typeof iterator.return === 'function') {
+            result.return = (...args) => Promise.resolve(iterator.return(...args));
+          }
+          return result;
+        }
+      };
+    };
+  });
+
   // Creates a contract for a value of type s
-  const typeOf = (s) => (v) => {
+  const typeOf = described('typeOf', (s) => (v) => {
     const type = typeof v;
     if (type !== s) {
-      throw new TypeError(`Expected ${s}, got ${type}.`);
+      throw new ContractError(s, v, type);
     }
     return v;
-  };
+  });
 
   const func = typeOf('function'); 
   const string = typeOf('string');
@@ -72,118 +495,525 @@ define(() => {
   const symbol = typeOf('symbol');
 
   // Creates a contract for an object inheriting from ctor
-  const instanceOf = (ctor) => (inst) => {
+  const instanceOf = described('instanceOf', (ctor) => (inst) => {
     if (!(inst instanceof ctor)) {
-      throw new TypeError(`Expected an instance of ${ctor.name}${inst.constructor ? `, got an instance of ${inst.constructor.name}.` : ''}`);
+      throw new ContractError(`an instance of ${ctor.name}`, inst,
+          inst != null && inst.constructor ? `an instance of ${inst.constructor.name}` : show(inst));
     }
     return inst;
-  };
+  });
 
   // Asserts n is a signed 32-bit number
-  const int32 = (n) => {
-    if ((n | 0) !== n) {
-      throw new TypeError(`Expected a 32-bit integer, got ${JSON.stringify(n)}.`);
+  const int32 = named('int32', (n) => {
+    if (typeof n !== 'number' || (n | 0) !== n) {
+      throw new ContractError('a 32-bit integer', n);
     }
     return n;
-  };
+  });
 
   // Asserts int32 and nonnegative
-  const nat32 = (n) => {
-    if ((n | 0) !== n || n < 0) {
-      throw new TypeError(`Expected a 32-bit natural, got ${JSON.stringify(n)}.`);
+  const nat32 = named('nat32', (n) => {
+    if (typeof n !== 'number' || (n | 0) !== n || n < 0) {
+      throw new ContractError('a 32-bit natural', n);
     }
     return n;
-  };
+  });
 
-  const int53 = (n) => {
-    if (Math.abs(n) < Math.pow(2, 53) && Number.isInteger(n)) {
+  const int53 = named('int53', (n) => {
+    if (Number.isInteger(n) && Math.abs(n) < Math.pow(2, 53)) {
       return n;
     }
-    throw new TypeError(`Expected an integer n such that Math.abs(n) < Math.pow(2, 53), got ${JSON.stringify(n)}.`);
-  };
+    throw new ContractError('an integer n such that Math.abs(n) < Math.pow(2, 53)', n);
+  });
   
-  const nat53 = (n) => {
-    if (n >= 0 && n < Math.pow(2, 53) && Number.isInteger(n)) {
+  const nat53 = named('nat53', (n) => {
+    if (Number.isInteger(n) && n >= 0 && n < Math.pow(2, 53)) {
       return n;
     }
-    throw new TypeError(`Expected a natural n such that n < Math.pow(2, 53), got ${JSON.stringify(n)}.`);
-  };
+    throw new ContractError('a natural n such that n < Math.pow(2, 53)', n);
+  });
   
-  // Creates a contract for an array whose
-  // elements all satisfy the contract c
-  const arrayOf = (c) => {
+  // Describes the length bounds {min, max} in messages.
+  const bounds = ({min = 0, max = Infinity}) =>
+      min === max ? `${min}` :
+      max === Infinity ? `at least ${min}` :
+      min === 0 ? `at most ${max}` :
+      `${min} to ${max}`;
+
+  // Checks that the length of a is within the bounds {min, max}.
+  const checkLength = (a, lengths) => {
+    const {min = 0, max = Infinity} = lengths;
+    if (a.length < min || a.length > max) {
+      // The count that bounds shows, if it shows just one.
+      const count = min === max || max === Infinity ? min : min === 0 ? max : NaN;
+      throw new ContractError(`${bounds(lengths)} element${count === 1 ? '' : 's'}`, a, `${a.length}`);
+    }
+    return a;
+  };
+
+  // Given a contract c, a predicate and a description of the
+  // values the predicate accepts, creates a contract for the
+  // values satisfying both, e.g.
+  //   refine(string, (s) => s !== '', 'a non-empty string')
+  const refine = described('refine', (c, predicate, description) => {
     func(c);
-    // The function passed to map here
-    // restricts c to one argument.
-    return (a) => array(a).map(x => c(x));
+    func(predicate);
+    string(description);
+    return (x, labels) => {
+      const y = enforce(c, x, labels);
+      if (!predicate(y)) {
+        throw new ContractError(description, y);
+      }
+      return y;
+    };
+  });
+
+  // Creates a contract for the value v alone, compared with
+  // Object.is so that literal(NaN) works.
+  const literal = described('literal', (v) => (x) => {
+    if (!Object.is(x, v)) {
+      throw new ContractError(show(v), x);
+    }
+    return x;
+  });
+
+  // Creates a contract for any of the given values, e.g.
+  // oneOf(['GET', 'POST']).
+  const oneOf = described('oneOf', (values) => {
+    array(values);
+    return (x) => {
+      if (!values.some((v) => Object.is(x, v))) {
+        throw new ContractError(`one of ${values.map((v) => show(v)).join(', ')}`, x);
+      }
+      return x;
+    };
+  });
+
+  // Describes the numeric bounds of range in messages and
+  // signatures, e.g. '[0, 1)' or '>= 0'.
+  const interval = ({min = -Infinity, max = Infinity, exclusiveMin = false, exclusiveMax = false}) =>
+      min !== -Infinity && max !== Infinity ?
+          `${exclusiveMin ? '(' : '['}${min}, ${max}${exclusiveMax ? ')' : ']'}` :
+      min !== -Infinity ? `${exclusiveMin ? '>' : '>='} ${min}` :
+      max !== Infinity ? `${exclusiveMax ? '<' : '<='} ${max}` :
+      '';
+
+  // Creates a contract for a number other than NaN between
+  // min and max, which are included unless exclusiveMin or
+  // exclusiveMax is set, and an integer if integer is set. So
+  // int32 is range({min: -0x80000000, max: 0x7fffffff, integer: true})
+  // and range({min: 0, max: 1, exclusiveMax: true}) is [0, 1).
+  const range = described('range', (bounds = {}) => {
+    const {min = -Infinity, max = Infinity, integer = false,
+        exclusiveMin = false, exclusiveMax = false} = object(bounds);
+    const inside = interval(bounds);
+    const expected = `${integer ? 'an integer' : 'a number'}${/^[[(]/.test(inside) ? ' in ' : ' '}${inside}`.trim();
+    return (n) => {
+      if (typeof n !== 'number' || (integer && !Number.isInteger(n)) ||
+          !(exclusiveMin ? n > min : n >= min) || !(exclusiveMax ? n < max : n <= max)) {
+        throw new ContractError(expected, n);
+      }
+      return n;
+    };
+  });
+
+  // Regular expressions for the string formats of text, named
+  // as in JSON Schema.
+  const formats = {
+    'date': /^\d{4}-\d{2}-\d{2}$/,
+    'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+    'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    'ipv4': /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+    'uri': /^[a-zA-Z][a-zA-Z\d+.-]*:\S*$/,
+    'uuid': /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i
   };
 
+  // Creates a contract for a string with between min and max
+  // characters that matches the regular expression pattern and
+  // is in the named format, one of the keys of formats. All of
+  // them are optional; text({pattern: r}) is re(r).
+  const text = described('text', (checks = {}) => {
+    const {min = 0, max = Infinity, pattern, format} = object(checks);
+    if (pattern !== void 0) {
+      regexp(pattern);
+    }
+    if (format !== void 0 && !formats.hasOwnProperty(format)) {
+      throw new ContractError(`one of the formats ${Object.keys(formats).join(', ')}`, format);
+    }
+    return (s) => {
+      string(s);
+      if (s.length < min || s.length > max) {
+        throw new ContractError(`a string of ${bounds(checks)} characters`, s, `${s.length} characters`);
+      }
+      if (pattern && !pattern.test(s)) {
+        throw new ContractError(`a string matching ${pattern}`, s);
+      }
+      if (format && !formats[format].test(s)) {
+        throw new ContractError(`a string in ${format} format`, s);
+      }
+      return s;
+    };
+  });
+  // More formats can be added here.
+  text.formats = formats;
+
+  // Creates a contract for an array whose
+  // elements all satisfy the contract c.
+  // arrayOf(c, {min, max}) also bounds the length;
+  // arrayOf(c, {min: 1}) is for non-empty arrays.
+  const arrayOf = described('arrayOf', (c, lengths = {}) => {
+    func(c);
+    object(lengths);
+    return judged((a, labels) => {
+      const errors = [];
+      // The function passed to map here restricts c
+      // to the element and the blame labels.
+      const result = checkLength(array(a), lengths).map((x, i) => {
+        try {
+          return enforce(c, x, labels);
+        } catch (e) {
+          fail(errors, e, `[${i}]`);
+        }
+      });
+      failures(errors, a);
+      return result;
+    });
+  });
+
   // Creates a contract for an object whose
   // enumerable properties all satisfy the contract c
-  const objectOf = (c) => {
+  const objectOf = described('objectOf', (c) => {
     func(c);
-    return (o) => {
+    return judged((o, labels) => {
       object(o);
       const result = create(o);
-      for (i in o) {
-        result[i] = c(o[i]);
+      const errors = [];
+      for (let i in o) {
+        try {
+          result[i] = enforce(c, o[i], labels);
+        } catch (e) {
+          fail(errors, e, prop(i));
+        }
       }
+      failures(errors, o);
       return result;
-    };
-  };
+    });
+  });
+
+  // Marker for the variadic tail of a tuple:
+  // prodn([string, int32], rest(boolean))
+  class Rest {
+    constructor(c) {
+      this.c = c;
+    }
+  }
+
+  const rest = described('rest', (c) => new Rest(func(c)));
 
   // Given an array of contracts, creates a contract for
   // an array whose elements satisfy the respective contracts:
-  // the product of the given contracts, indexed by numbers
-  const prodn = (cs) => {
+  // the product of the given contracts, indexed by numbers.
+  // Given rest(c) as well, any further elements satisfy c.
+  const prodn = described('prodn', (cs, tail) => {
     arrayOf(func)(cs);
+    if (tail !== void 0 && !(tail instanceof Rest)) {
+      throw new TypeError('Expected rest(c) for the tail of the tuple.');
+    }
     const len = cs.length;
-    return (args) => {
-      array(args);
-      if (args.length !== len) {
-        throw new TypeError(`Expected ${len} elements, got ${args.length}.`);
-      }
+    return judged((args, labels) => {
+      checkLength(array(args), tail ? {min: len} : {min: len, max: len});
       const result = [];
-      for (let i = 0; i < len; ++i) {
+      const errors = [];
+      for (let i = 0; i < args.length; ++i) {
         // Apply each contract to the
         // corresponding argument.
-        result[i] = cs[i](args[i]);
+        try {
+          result[i] = enforce(i < len ? cs[i] : tail.c, args[i], labels);
+        } catch (e) {
+          fail(errors, e, `[${i}]`);
+        }
       }
+      failures(errors, args);
+      return result;
+    });
+  });
+
+  // Creates a contract for a Map whose keys satisfy keyC and
+  // whose values satisfy valC; returns a checked copy.
+  const mapOf = described('mapOf', (keyC, valC) => {
+    func(keyC);
+    func(valC);
+    return judged((m, labels) => {
+      map(m);
+      const result = new Map();
+      const errors = [];
+      let i = 0;
+      m.forEach((v, k) => {
+        try {
+          k = enforce(keyC, k, labels);
+        } catch (e) {
+          fail(errors, e, `.keys()[${i}]`);
+        }
+        try {
+          result.set(k, enforce(valC, v, labels));
+        } catch (e) {
+          fail(errors, e, `.get(${show(k)})`);
+        }
+        ++i;
+      });
+      failures(errors, m);
+      return result;
+    });
+  });
+
+  // Creates a contract for a Set whose elements satisfy c;
+  // returns a checked copy.
+  const setOf = described('setOf', (c) => {
+    func(c);
+    return judged((s, labels) => {
+      set(s);
+      const result = new Set();
+      const errors = [];
+      let i = 0;
+      s.forEach((x) => {
+        try {
+          result.add(enforce(c, x, labels));
+        } catch (e) {
+          fail(errors, e, `.values()[${i}]`);
+        }
+        ++i;
+      });
+      failures(errors, s);
       return result;
+    });
+  });
+
+  // Creates a contract for a WeakMap whose keys satisfy keyC
+  // and whose values satisfy valC. A WeakMap can't be walked, so
+  // this returns a proxy that checks keys and values as they are
+  // passed to set and values as they are read by get. A bad
+  // value read from a map returned by a guarded function blames
+  // the function; a bad key or value written to it blames the
+  // caller.
+  const weakMapOf = described('weakMapOf', (keyC, valC) => {
+    func(keyC);
+    func(valC);
+    return (m, labels) => {
+      weakMap(m);
+      const key = (k) => {
+        try {
+          return enforce(keyC, k, labels && swap(labels));
+        } catch (e) {
+          blameLater(e, labels, 'used a bad key', '(key)', 'Caller');
+        }
+      };
+      const methods = {
+        get: (k) => {
+          const v = m.get(key(k));
+          if (v === void 0 && !m.has(k)) {
+            return v;
+          }
+          try {
+            return enforce(valC, v, labels);
+          } catch (e) {
+            blameLater(e, labels, 'stored a bad value', `.get(${show(k)})`);
+          }
+        },
+        set: (k, v) => {
+          k = key(k);
+          try {
+            m.set(k, enforce(valC, v, labels && swap(labels)));
+          } catch (e) {
+            blameLater(e, labels, 'stored a bad value', `.set(${show(k)})`, 'Caller');
+          }
+          return proxy;
+        },
+        has: (k) => m.has(key(k)),
+        delete: (k) => m.delete(key(k))
+      };
+      const proxy = new Proxy(m, {
+        get: (target, p) => methods.hasOwnProperty(p) ? methods[p] : Reflect.get(target, p)
+      });
+      return proxy;
     };
+  });
+
+  // Creates a contract for a typed array made by ctor, e.g.
+  // Float64Array, whose elements all lie in [min, max]. Returns
+  // the array itself.
+  const typedArrayOf = described('typedArrayOf', (ctor, range = {}) => {
+    func(ctor);
+    object(range);
+    const {min = -Infinity, max = Infinity} = range;
+    const check = classOf(ctor.name);
+    const bounded = min !== -Infinity || max !== Infinity;
+    return judged((a) => {
+      check(a);
+      for (let i = 0; bounded && i < a.length; ++i) {
+        if (!(a[i] >= min && a[i] <= max)) {
+          throw at(new ContractError(`an element in [${min}, ${max}]`, a[i]), `[${i}]`);
+        }
+      }
+      return a;
+    });
+  });
+
+  // Checks that the properties of a product are contracts, or
+  // opt(c) for optional properties.
+  const fieldContracts = (cs) => {
+    object(cs);
+    for (let i in cs) {
+      func(cs[i] instanceof Optional ? cs[i].c : cs[i]);
+    }
+  };
+
+  // Checks the property i of x against the contract c, which may
+  // be opt(c); an optional property that is missing is skipped.
+  // Sets the checked property on y and records a violation in
+  // errors.
+  const field = (c, x, i, y, labels, errors) => {
+    if (c instanceof Optional) {
+      if (x[i] === void 0) {
+        return;
+      }
+      c = c.c;
+    }
+    try {
+      y[i] = enforce(c, x[i], labels);
+    } catch (e) {
+      fail(errors, e, prop(i));
+    }
   };
 
   // Given an object whose enumerable properties are contracts,
   // creates a contract for an object whose enumerable properties
   // satisfy the respective contracts: the product of the given
-  // contracts, indexed by strings.
-  const prods = (cs) => {
-    object(cs);
-    for (let i in cs) {
-      func(cs[i]);
-    }
-    return (x) => {
+  // contracts, indexed by strings. A property whose contract is
+  // opt(c) may be missing.
+  const prods = described('prods', (cs) => {
+    fieldContracts(cs);
+    return judged((x, labels) => {
       const y = Object.create(object(x));
+      const errors = [];
       for (let i in cs) {
-        y[i] = cs[i](x[i]);
+        field(cs[i], x, i, y, labels, errors);
       }
+      failures(errors, x);
       return y;
-    };
-  };
+    });
+  });
 
   // Same as prods but modifies the object directly to preserve
-  // object identity.
-  const interface = (cs) => {
+  // object identity. The fields can't be codecs, since decoding
+  // would change the object.
+  const interface = described('interface', (cs) => {
+    fieldContracts(cs);
+    const contract = judged((x, labels) => {
+      if (hasCodec(contract)) {
+        throw new TypeError('The fields of an interface can\'t be codecs; use prods.');
+      }
+      const errors = [];
+      for (let i in cs) {
+        field(cs[i], x, i, x, labels, errors);
+      }
+      failures(errors, x);
+      return x;
+    });
+    return contract;
+  });
+
+  // Like prods, but returns a proxy for the object itself instead
+  // of a copy, so hasOwnProperty, for-in and later changes to the
+  // object all see through it. Each property is checked when it
+  // is read, blaming the object's provider, and when it is
+  // written or deleted through the proxy, blaming the writer.
+  // Options:
+  //   readOnly: reject all writes and deletes through the proxy;
+  //   sealed: reject writes to properties without a contract and
+  //           all deletes.
+  const live = described('live', (cs, options = {}) => {
     object(cs);
     for (let i in cs) {
       func(cs[i]);
     }
-    return (x) => {
-      for (let i in cs) {
-        x[i] = cs[i](x[i]);
-      }
-      return x;
-    };
+    const {readOnly = false, sealed = false} = object(options);
+    const contracted = (p) => typeof p === 'string' && cs.hasOwnProperty(p);
+    const contract = judged((o, labels) => {
+      object(o);
+      const refuse = (p, why) => {
+        const e = new ContractError(void 0, void 0);
+        e.reason = why;
+        blameLater(e, labels, 'changed a guarded object', prop(p), 'Caller');
+      };
+      // Checks a value written to the property p.
+      const write = (p, v) => {
+        if (readOnly) {
+          refuse(p, 'The object is read-only');
+        }
+        if (!contracted(p)) {
+          if (sealed) {
+            refuse(p, 'The object is sealed');
+          }
+          return v;
+        }
+        try {
+          return enforce(cs[p], v, labels && swap(labels));
+        } catch (e) {
+          blameLater(e, labels, 'stored a bad value', prop(p), 'Caller');
+        }
+      };
+      const proxy = new Proxy(o, {
+        get: (target, p, receiver) => {
+          const v = Reflect.get(target, p, receiver);
+          if (!contracted(p)) {
+            return v;
+          }
+          try {
+            return enforce(cs[p], v, labels);
+          } catch (e) {
+            blameLater(e, labels, 'has a bad property', prop(p));
+          }
+        },
+        set: (target, p, v, receiver) =>
+            Reflect.set(target, p, write(p, v), receiver === proxy ? target : receiver),
+        defineProperty: (target, p, desc) => {
+          if ('value' in desc) {
+            desc = Object.assign({}, desc, {value: write(p, desc.value)});
+          } else if (readOnly || (sealed && !contracted(p))) {
+            write(p, void 0);
+          } else if (contracted(p) && ('get' in desc || 'set' in desc)) {
+            refuse(p, 'Accessors can\'t be checked');
+          }
+          return Reflect.defineProperty(target, p, desc);
+        },
+        deleteProperty: (target, p) => {
+          if (readOnly || sealed) {
+            refuse(p, `The object is ${readOnly ? 'read-only' : 'sealed'}`);
+          }
+          if (contracted(p)) {
+            write(p, void 0);
+          }
+          return Reflect.deleteProperty(target, p);
+        }
+      });
+      // Guarding the proxy again gives back the proxy.
+      judge(proxy, contract, labelsKey(labels), proxy);
+      return proxy;
+    });
+    return contract;
+  });
+
+  // Checks the value of the tagged choice against c. A value that
+  // c changes, e.g. by decoding it, goes in a new array rather
+  // than back into choice.
+  const branch = (choice, c, labels) => {
+    let y;
+    try {
+      y = enforce(c, choice[1], labels);
+    } catch (e) {
+      throw at(e, '[1]');
+    }
+    return Object.is(y, choice[1]) ? choice : [choice[0], y];
   };
 
   // Given an array of contracts, creates a contract for a
@@ -191,118 +1021,380 @@ define(() => {
   // is a value satisfying the contract at that index
   // in the array: the coproduct of the given contracts,
   // tagged by numbers.
-  const coprodn = (cs) => {
+  const coprodn = described('coprodn', (cs) => {
     arrayOf(func)(cs);
-    return (choice) => {
+    return judged((choice, labels) => {
       array(choice);
-      nat32(choice[0]);
       if (choice.length !== 2) {
-        throw new TypeError(`Expected [nat32, any], got ${choice.length} elements.`);
+        throw new ContractError('[nat32, any]', choice, `${choice.length} elements`);
+      }
+      try {
+        nat32(choice[0]);
+      } catch (e) {
+        throw at(e, '[0]');
       }
       if (choice[0] >= cs.length) {
-        throw new TypeError(`Tag out of range: expected number in [0, ${cs.length}), got ${choice[0]}.`)
+        throw at(new ContractError(`a tag in [0, ${cs.length})`, choice[0]), '[0]');
       }
-      choice[1] = cs[choice[0]](choice[1]);
-      return choice;
-    };
-  };
+      return branch(choice, cs[choice[0]], labels);
+    });
+  });
 
   // Given an object of contracts, creates a contract for a
   // 2-element array where item 0 is a property name and item 1
   // is a value satisfying the contract at that property name
   // in the object: the coproduct of the given contracts,
   // tagged by strings.
-  const coprods = (cs) => {
+  const coprods = described('coprods', (cs) => {
     objectOf(func)(cs);
-    return (choice) => {
+    return judged((choice, labels) => {
       array(choice);
-      string(choice[0]);
       if (choice.length !== 2) {
-        throw new TypeError(`Expected [string, any], got ${choice.length} elements.`);
+        throw new ContractError('[string, any]', choice, `${choice.length} elements`);
+      }
+      try {
+        string(choice[0]);
+      } catch (e) {
+        throw at(e, '[0]');
       }
       if (!cs.hasOwnProperty(choice[0])) {
-        throw new TypeError(`Unknown tag: ${choice[0]}`)
+        // Every branch rejects the tag.
+        const e = new ContractError(`one of the tags ${Object.keys(cs).join(', ')}`, choice[0]);
+        e.branches = Object.keys(cs).map((tag) => ({
+          tag,
+          contract: signature(cs[tag]),
+          error: new ContractError(JSON.stringify(tag), choice[0])
+        }));
+        throw at(e, '[0]');
       }
-      choice[1] = cs[choice[0]](choice[1]);
-      return choice;
-    };
-  };
+      return branch(choice, cs[choice[0]], labels);
+    });
+  });
 
   // Given an array of contracts, apply all of them.
   // This is the product in the category of sets and inclusions.
-  const intersect = (cs) => {
+  const intersect = described('intersect', (cs) => {
     arrayOf(func)(cs);
     const len = cs.length;
-    return (x) => {
+    return (x, labels) => {
       let result = x;
       for (let i = 0; i < len; ++i) {
-        result = cs[i](result);
+        result = enforce(cs[i], result, labels);
       }
       return result;
     };
-  };
+  });
 
   // Given an array of contracts, succeed if any succeeds.
   // This is the coproduct in the category of sets and inclusions.
-  const union = (cs) => {
+  // On failure, the branches of the violation say why each
+  // contract rejected the value.
+  const union = described('union', (cs) => {
     arrayOf(func)(cs);
     const len = cs.length;
-    return (x) => {
+    return (x, labels) => {
+      const branches = [];
       for (let i = 0; i < len; ++i) {
         try {
-          return cs[i](x);
-        } catch (e) { }
+          return enforce(cs[i], x, labels);
+        } catch (e) {
+          branches.push({contract: signature(cs[i]), error: at(e, '')});
+        }
       }
-      throw new TypeError(`No match among unioned types: got ${JSON.stringify(x)}.`)
+      const e = new ContractError(cs.map((c) => signature(c)).join(' | '), x);
+      e.branches = branches;
+      throw e;
     };
-  };
+  });
+
+  // The default notion of equality for limits and colimits.
+  const same = (x, y) => x === y;
 
   // Given an array of functions, returns a contract
   // for those arrays where the elements all map to the
   // same value under the given functions, e.g. given
   // [f, g], we get a contract for those [x, y] for which
   // f(x) === g(y): the pullback of the functions f and g.
-  const pbn = (fs) => {
+  // An equality function may be given in place of ===.
+  const pbn = described('pbn', (fs, equal = same) => {
     const c = prodn(fs);
+    func(equal);
     const len = fs.length;
-    return (args) => {
+    return (args, labels) => {
       array(args);
-      const result = c(args);
+      const result = c(args, labels);
       for (let i = 1; i < len; ++i) {
-        if (result[i] !== result[0]) {
-          throw new TypeError(
-              `Failed to match pullback constraint in position ${i}: got ${JSON.stringify(result[i])}`);
+        if (!equal(result[i], result[0])) {
+          throw at(new ContractError(`${show(result[0])} to match the pullback constraint`, result[i]), `[${i}]`);
         }
       }
       return args;
     };
+  });
+
+  // Given an object of functions, returns a contract for
+  // those objects whose properties all map to the same value
+  // under the respective functions: the pullback, indexed
+  // by strings.
+  const pbs = described('pbs', (fs, equal = same) => {
+    const c = prods(fs);
+    func(equal);
+    const keys = Object.keys(fs);
+    return (x, labels) => {
+      const result = c(x, labels);
+      for (let i = 1; i < keys.length; ++i) {
+        if (!equal(result[keys[i]], result[keys[0]])) {
+          throw at(new ContractError(`${show(result[keys[0]])} to match the pullback constraint`,
+              result[keys[i]]), prop(keys[i]));
+        }
+      }
+      return x;
+    };
+  });
+
+  // Given an array of functions, returns a contract for those
+  // values that all the functions map to the same value: the
+  // equalizer of the functions.
+  const equalizer = described('equalizer', (fs, equal = same) => {
+    arrayOf(func)(fs);
+    func(equal);
+    return (x, labels) => {
+      const results = fs.map((f) => enforce(f, x, labels));
+      for (let i = 1; i < results.length; ++i) {
+        if (!equal(results[i], results[0])) {
+          throw new ContractError('a value on which the functions agree', x,
+              `${show(x)}, which function ${i} maps to ${show(results[i])} and function 0 to ${show(results[0])}`);
+        }
+      }
+      return x;
+    };
+  });
+
+  // Helper for the pushouts below. The pushout of f:S -> A and
+  // g:S -> B is the coproduct A + B with f(s) and g(s) glued
+  // together for each s in the shared source S. Since we can't
+  // search S for a preimage, each summand comes with a function
+  // tracing its values back to the source, returning undefined
+  // for values outside the image. Two tagged values are then
+  // equivalent when they have the same tag and equal values, or
+  // when both trace back to equal sources. The contract checks
+  // the coproduct and carries the equivalence as .equiv and the
+  // tracing as .source.
+  const glue = (c, traces, equal) => {
+    func(equal);
+    const source = ([tag, x]) => {
+      const s = traces[tag](x);
+      return s === void 0 ? void 0 : [s];
+    };
+    const result = (choice, labels) => c(choice, labels);
+    result.source = (choice) => {
+      const s = source(c(choice));
+      return s && s[0];
+    };
+    result.equiv = (x, y) => {
+      c(x);
+      c(y);
+      if (x[0] === y[0] && equal(x[1], y[1])) {
+        return true;
+      }
+      const s = source(x), t = source(y);
+      return !!s && !!t && equal(s[0], t[0]);
+    };
+    return result;
+  };
+
+  // Given an array of contracts and an array of functions tracing
+  // each summand back to a shared source, creates a contract for
+  // the pushout, tagged by numbers.
+  const pon = described('pon', (cs, traces, equal = same) => {
+    arrayOf(func)(traces);
+    if (traces.length !== cs.length) {
+      throw new TypeError(`Expected ${cs.length} traces, got ${traces.length}.`);
+    }
+    return glue(coprodn(cs), traces, equal);
+  });
+
+  // Given an object of contracts and an object of functions
+  // tracing each summand back to a shared source, creates a
+  // contract for the pushout, tagged by strings.
+  const pos = described('pos', (cs, traces, equal = same) => {
+    objectOf(func)(traces);
+    for (let i in cs) {
+      if (!traces.hasOwnProperty(i)) {
+        throw new TypeError(`Missing trace for tag ${i}.`);
+      }
+    }
+    return glue(coprods(cs), traces, equal);
+  });
+
+  // Creates a contract from a thunk that returns it, so that a
+  // contract can refer to itself or to contracts defined later:
+  // const Tree = rec(() => prods({value: int32, children: arrayOf(Tree)}), 'Tree');
+  // The optional name is used in signatures. Checking an object
+  // that this contract is already in the middle of checking, as
+  // happens with cyclic object graphs, succeeds and gives back
+  // the object itself, so the check terminates.
+  const rec = described('rec', (thunk, name) => {
+    func(thunk);
+    let c;
+    const active = new Set();
+    return (x, labels) => {
+      if (!c) {
+        c = func(thunk());
+      }
+      if (!isObject(x)) {
+        return enforce(c, x, labels);
+      }
+      if (active.has(x)) {
+        return x;
+      }
+      active.add(x);
+      try {
+        return enforce(c, x, labels);
+      } finally {
+        active.delete(x);
+      }
+    };
+  });
+
+  // Blame labels name the two parties to a function contract:
+  // the server is the guarded function and the client is whoever
+  // calls it. Labels not given are inferred from the function name.
+  // Labels may also have a report hook, see violated.
+  const labelsFor = (f, labels = {}) => ({
+    server: labels.server || f.name || 'anonymous',
+    client: labels.client || 'anonymous',
+    report: labels.report,
+    negative: labels.negative
+  });
+
+  // A function passed as an argument is served by the client and
+  // called by the server, so its labels are swapped. Swapping also
+  // flips negative, which marks the values flowing into the
+  // function; the seals of forall tell the directions apart by it.
+  const swap = (labels) => ({
+    server: labels.client,
+    client: labels.server,
+    report: labels.report,
+    negative: !labels.negative
+  });
+
+  // Rethrows the violation e, blaming the party with the given
+  // role ('Caller' or 'Function') and label. A violation that
+  // already names a party keeps it.
+  const blame = (role, label, what, e, segment = '') => {
+    e = at(e, segment);
+    if (!e.blame) {
+      e.role = role;
+      e.blame = label;
+      e.what = what;
+      e.update();
+    }
+    throw e;
   };
 
-  // TODO: pushouts
+  // Blames as blame does, but when the labels have a report hook,
+  // passes the violation to it and returns instead of throwing,
+  // so that the guard carries on with the unchecked value.
+  const violated = (labels, role, what, e, segment) => {
+    try {
+      blame(role, role === 'Caller' ? labels.client : labels.server, what, e, segment);
+    } catch (error) {
+      if (!labels.report) {
+        throw error;
+      }
+      labels.report(error);
+    }
+  };
 
   // Helper for the hom functor below.
   // hom(a,b).self(contractForThis)(function method(){...})(args...)
-  // Using prods and hom.self to define an interface:
-  // const Fooable = prods({
-  //   foo: hom(int32, string).self(Fooable);    
-  // });
+  // Using prods and hom.self to define an interface, with rec
+  // so that Fooable can refer to itself:
+  // const Fooable = rec(() => prods({
+  //   foo: hom(int32, string).self(Fooable)
+  // }));
   
   const self = function(c) {
     func(c);
-    return (method) => {
+    // Described, so that the labels of an enclosing contract reach
+    // the method.
+    return reify((method, labels) => {
+      labels = labelsFor(func(method), labels);
       // Here, 'this' is bound to the output of the hom functor,
       // a contract.
       // this(method) checks the pre/post conditions on method
-      method = this(method);
+      method = this(method, labels);
       const result = function () {
         // Here, 'this' is the object on which 'method' is being
         // invoked. c(this) checks that it is being invoked
         // on the right kind of object
-        return method.apply(c(this), arguments);
+        let receiver;
+        try {
+          receiver = enforce(c, this, swap(labels));
+        } catch (e) {
+          blame('Caller', labels.client, 'invoked the method on a bad receiver', e);
+        }
+        return method.apply(receiver, arguments);
       };
+      Object.defineProperty(result, 'name', {value: method.name});
       result.toString = () => method.toString();
       return result;
-    };
+    }, {kind: 'self', args: [this, c]});
+  };
+
+  // Whether the contracts a and b are made the same way from the
+  // same parts, e.g. by two calls of hom(int32, int32). Named
+  // contracts and parts that aren't contracts, arrays or plain
+  // objects, such as predicates, must be the same object.
+  const alike = (a, b) => {
+    if (a === b) {
+      return true;
+    }
+    if (!isObject(a) || !isObject(b)) {
+      return false;
+    }
+    if (descriptions.has(a) || descriptions.has(b)) {
+      const [d, e] = [descriptions.get(a), descriptions.get(b)];
+      return !!d && !!e && d.kind === e.kind && d.kind !== 'name' && alike(d.args, e.args);
+    }
+    const plain = (x) => Array.isArray(x) || getClassName(x) === '[object Object]';
+    if (!plain(a) || !plain(b) || Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every((k) => b.hasOwnProperty(k) && alike(a[k], b[k]));
+  };
+
+  // The guards made by function contracts, with the contract and
+  // the key of the labels each was made with.
+  const guards = new WeakMap();
+
+  // Creates a function contract from wrap, which is given the
+  // function and its blame labels and returns the guarded function.
+  // The guard takes the function's name, shows the contract in its
+  // source, and is given back when it is guarded again by a
+  // contract alike to the one that made it.
+  const guarding = (wrap) => {
+    const contract = judged((middle, labels) => {
+      func(middle);
+      const key = labelsKey(labels);
+      const guard = guards.get(middle);
+      if (guard && guard.key === key && alike(guard.contract, contract)) {
+        return middle;
+      }
+      labels = labelsFor(middle, labels);
+      const result = wrap(middle, labels);
+      Object.defineProperty(result, 'name', {value: middle.name});
+      result.toString =
+          ((str) => () => `${str}/* guarded: ${signature(contract)} */`)('' + middle);
+      judge(result, contract, key, result);
+      guards.set(result, {contract, key});
+      return result;
+    });
+    contract.self = self.bind(contract);
+    return contract;
   };
 
   // Marker for optional arguments:
@@ -313,11 +1405,30 @@ define(() => {
     }
   }
   
-  const opt = (c) => new Optional(c);
+  const opt = described('opt', (c) => new Optional(c));
+
+  // Marker for dependent arguments and results, whose contracts
+  // depend on the values of the earlier arguments:
+  // hom(a, dep((x) => b(x)))
+  // f is passed the earlier arguments after they have been checked
+  // and returns the contract for this one. A dependent result is
+  // passed all the arguments.
+  class Dependent {
+    constructor(f) {
+      this.f = f;
+    }
+  }
+
+  const dep = described('dep', (f) => new Dependent(func(f)));
+
+  // Returns the contract c, or for a dependent c, the contract
+  // it gives for the arguments so far.
+  const resolve = (c, args) => c instanceof Dependent ? func(c.f(...args)) : c;
 
   // Creates a contract for a function whose inputs and output
   // satisfy the given contracts.
-  const hom = function(/* input1, ..., inputn, output */) {
+  // hom(a, b)(f, {server, client}) labels the parties to blame.
+  const hom = described('hom', function(/* input1, ..., inputn, output */) {
     const inputs = slice(arguments, 0, arguments.length - 1);
     let optional = 0, flag = false;
     
@@ -332,34 +1443,906 @@ define(() => {
       }
     });
     
-    arrayOf(func)(inputs);
+    inputs.forEach((input) => input instanceof Dependent || func(input));
     
-    let precond;
-    if (optional === 0) {
-      precond = prodn(inputs);
-    } else {
-      const products = [];
-      for (let i = optional; i >= 0; --i) {
-        products[i] = prodn(inputs.slice(0, inputs.length - i));
+    const len = inputs.length;
+    const required = len - optional;
+    // Checks each argument against its contract, blaming
+    // the client for any violation.
+    const precond = (args, labels) => {
+      if (args.length < required || args.length > len) {
+        violated(labels, 'Caller', 'passed the wrong number of arguments',
+            new ContractError(`${optional ? `${required} to ${len}` : len} arguments`, args, `${args.length}`));
       }
-      precond = union(products);
-    }
+      const checked = [];
+      args.forEach((arg, i) => {
+        try {
+          checked.push(i < len ? enforce(resolve(inputs[i], checked), arg, swap(labels)) : arg);
+        } catch (e) {
+          violated(labels, 'Caller', `passed a bad argument ${i + 1}`, e, `(arg ${i + 1})`);
+          checked.push(arg);
+        }
+      });
+      return checked;
+    };
     
-    const postcond = func(arguments[arguments.length - 1]);
-    const result = (middle) => {
-      func(middle);
-      const result = function () {
-        return postcond(
-               middle.apply(this, 
-               precond(slice(arguments))));
+    const postcond = arguments[arguments.length - 1];
+    if (!(postcond instanceof Dependent)) {
+      func(postcond);
+    }
+    return guarding((middle, labels) => function () {
+      const args = precond(slice(arguments), labels);
+      const output = middle.apply(this, args);
+      try {
+        return enforce(resolve(postcond, args), output, labels);
+      } catch (e) {
+        violated(labels, 'Function', 'returned a bad result', e, '(result)');
+        return output;
+      }
+    });
+  });
+
+  // Creates a contract for an async function: like hom, but the
+  // result is awaited and checked against the output contract.
+  // The guarded function always returns a promise, and every
+  // violation rejects it, keeping the blame and the path.
+  const asyncHom = described('asyncHom', function(/* input1, ..., inputn, output */) {
+    const inputs = slice(arguments, 0, arguments.length - 1);
+    const output = arguments[arguments.length - 1];
+    const sync = hom(...inputs, output instanceof Dependent ?
+        dep((...args) => promOf(resolve(output, args))) : promOf(output));
+    return guarding((middle, labels) => {
+      const guarded = sync(function () {
+        return Promise.resolve(middle.apply(this, arguments));
+      }, labels);
+      return function () {
+        return new Promise((resolve) => resolve(guarded.apply(this, arguments)));
       };
-      result.toString =
-          ((str) => () => str + '/* guarded */')('' + middle);
+    });
+  });
+
+  // Creates a fresh seal for the type variable with the given
+  // name, for a forall whose labels had the given polarity. Values
+  // flowing in the other direction, i.e. into the polymorphic
+  // function, are replaced by opaque tokens, and the tokens are
+  // replaced by the values they sealed on the way back out.
+  // Anything else flowing out was forged, and converting a token
+  // to a primitive blames the function that tried.
+  const seal = (name, negative) => {
+    const values = new WeakMap();
+    return named(name, (x, labels) => {
+      if (!!(labels && labels.negative) !== negative) {
+        const inspected = () => {
+          const e = new ContractError(void 0, void 0);
+          e.reason = `Values of type ${name} are sealed`;
+          blame('Function', labels ? labels.client : 'anonymous', 'inspected a value', e);
+        };
+        const token = Object.freeze(Object.create(null, {[Symbol.toPrimitive]: {value: inspected}}));
+        values.set(token, x);
+        return token;
+      }
+      if (!values.has(x)) {
+        throw new ContractError(`a value of type ${name} that was passed in`, x);
+      }
+      return values.get(x);
+    });
+  };
+
+  // Creates a contract for a polymorphic function from body, which
+  // gives the function contract for its type variables, e.g.
+  //   forall((a) => hom(a, arrayOf(a)))
+  // for forall a. a -> Array<a>. Each call instantiates body with
+  // fresh seals, so the function can neither inspect nor fabricate
+  // values of type a, and the caller gets back exactly the values
+  // it passed in.
+  const forall = (body) => {
+    func(body);
+    // The type variables are named a, b, c, ... by position.
+    const names = Array.from({length: body.length}, (_, i) => String.fromCharCode(97 + i));
+    return reify(guarding((middle, labels) => function () {
+      const instance = func(body(...names.map((name) => seal(name, !!labels.negative))));
+      return enforce(instance, middle, labels).apply(this, arguments);
+    }), {kind: 'forall', args: [body, names]});
+  };
+
+  // Creates a contract for a class, given
+  //   args:      contracts for the constructor's arguments, as for hom;
+  //   methods:   hom contracts for the prototype methods, by name;
+  //   accessors: contracts for the values of getters and setters;
+  //   statics:   contracts for the static members;
+  //   invariant: a predicate that instances must satisfy.
+  // Guarding a class gives a subclass, so its instances still pass
+  // instanceOf(Class). Methods are guarded with self, so they must
+  // be called on instances of the guarded class. The invariant is
+  // checked after the constructor and after each call of a method
+  // or setter from outside the instance, blaming that member.
+  const klass = described('klass', (spec) => {
+    const {args = [], methods = {}, accessors = {}, statics = {}, invariant} = object(spec);
+    const init = hom(...args, any);
+    for (let k in methods) {
+      if (typeof func(methods[k]).self !== 'function') {
+        throw new TypeError(`The contract for method ${k} must be made by hom.`);
+      }
+    }
+    objectOf(func)(accessors);
+    objectOf(func)(statics);
+    if (invariant !== void 0) {
+      func(invariant);
+    }
+    const contract = judged((Ctor, labels) => {
+      func(Ctor);
+      const key = labelsKey(labels);
+      labels = labelsFor(Ctor, labels);
+      const proto = Ctor.prototype;
+      // Labels for the members, e.g. Stack.push.
+      const member = (k) => k === void 0 ? labels :
+          Object.assign({}, labels, {server: `${labels.server}.${k}`});
+      // Instances whose constructor has returned, and the number
+      // of guarded calls running on each.
+      const constructed = new WeakSet();
+      const depth = new WeakMap();
+      const holds = (o, k) => {
+        if (invariant && constructed.has(o) && !depth.get(o) && !invariant(o)) {
+          const e = new ContractError(void 0, o);
+          e.reason = `The invariant doesn't hold for ${show(o)}`;
+          violated(member(k), 'Function', 'broke the invariant', e);
+        }
+      };
+      // Calls the member k on the instance o by f, then checks the
+      // invariant unless the call came from inside o.
+      const call = (o, k, f) => {
+        if (!isObject(o)) {
+          return f();
+        }
+        depth.set(o, (depth.get(o) || 0) + 1);
+        let result;
+        try {
+          result = f();
+        } finally {
+          depth.set(o, depth.get(o) - 1);
+        }
+        holds(o, k);
+        return result;
+      };
+      // Finds the descriptor of the property k of the prototype or
+      // its ancestors.
+      const lookup = (k) => {
+        let desc;
+        for (let p = proto; p && !desc; p = Object.getPrototypeOf(p)) {
+          desc = Object.getOwnPropertyDescriptor(p, k);
+        }
+        return desc;
+      };
+      const checkArgs = init((...xs) => xs, labels);
+      class Guarded extends Ctor {
+        constructor(...xs) {
+          super(...checkArgs(...xs));
+          constructed.add(this);
+          holds(this);
+        }
+      }
+      Object.defineProperty(Guarded, 'name', {value: Ctor.name});
+      const receiver = instanceOf(Guarded);
+      Object.keys(methods).forEach((k) => {
+        const desc = lookup(k);
+        try {
+          func(desc && desc.value);
+        } catch (e) {
+          blame('Function', labels.server, 'lacks a method', e, `.prototype${prop(k)}`);
+        }
+        const method = methods[k].self(receiver)(desc.value, member(k));
+        Object.defineProperty(Guarded.prototype, k, {
+          value: function () {
+            return call(this, k, () => method.apply(this, arguments));
+          },
+          writable: true,
+          configurable: true
+        });
+      });
+      Object.keys(accessors).forEach((k) => {
+        const desc = lookup(k);
+        if (!desc || !(desc.get || desc.set)) {
+          blame('Function', labels.server, 'lacks an accessor',
+              new ContractError('a getter or setter', desc && desc.value), `.prototype${prop(k)}`);
+        }
+        const c = accessors[k], labelsK = member(k);
+        Object.defineProperty(Guarded.prototype, k, {
+          get: desc.get && function () {
+            const v = desc.get.call(this);
+            try {
+              return enforce(c, v, labelsK);
+            } catch (e) {
+              violated(labelsK, 'Function', 'returned a bad value', e, prop(k));
+              return v;
+            }
+          },
+          set: desc.set && function (v) {
+            try {
+              v = enforce(c, v, swap(labelsK));
+            } catch (e) {
+              violated(labelsK, 'Caller', 'set a bad value', e, prop(k));
+            }
+            call(this, k, () => desc.set.call(this, v));
+          },
+          configurable: true
+        });
+      });
+      Object.keys(statics).forEach((k) => {
+        let v = Ctor[k];
+        try {
+          v = enforce(statics[k], v, member(k));
+        } catch (e) {
+          violated(labels, 'Function', 'has a bad static member', e, prop(k));
+        }
+        Object.defineProperty(Guarded, k, {value: v, writable: true, configurable: true});
+      });
+      judge(Guarded, contract, key, Guarded);
+      return Guarded;
+    });
+    return contract;
+  });
+
+  // State machines for protocol, each with a start state and
+  //   step(state, name): the state after a call of the method
+  //                      name, or undefined if it isn't allowed;
+  //   allowed(state):    the methods that may be called next;
+  //   show(state):       how to refer to the state in messages.
+  // alphabet is the set of method names the machine tracks.
+
+  // Makes the machine for {start, states}, where states maps each
+  // state to the states that calls of each method lead to, e.g.
+  //   {start: 'closed', states: {closed: {open: 'open'}, open: {read: 'open', close: 'done'}, done: {}}}
+  const statesMachine = ({start, states}) => {
+    string(start);
+    objectOf(objectOf(string))(states);
+    const alphabet = new Set();
+    if (!states.hasOwnProperty(start)) {
+      throw new TypeError(`The start state ${start} isn't one of the states.`);
+    }
+    for (let s in states) {
+      for (let k in states[s]) {
+        if (!states.hasOwnProperty(states[s][k])) {
+          throw new TypeError(`The state ${states[s][k]} after ${s} isn't one of the states.`);
+        }
+        alphabet.add(k);
+      }
+    }
+    return {
+      start,
+      alphabet,
+      step: (s, k) => states[s].hasOwnProperty(k) ? states[s][k] : void 0,
+      allowed: (s) => Object.keys(states[s]),
+      show: (s) => s
+    };
+  };
+
+  // Makes the machine for a regular expression over method names,
+  // with juxtaposition for sequences and |, *, + and ? as usual,
+  // e.g. 'open read* close'. The states are the expressions that
+  // are left to match, found by taking derivatives.
+  const callsMachine = (source) => {
+    string(source);
+    // Expressions are none, which matches nothing; done, which
+    // matches no more calls; {name} for a call; and {seq}, {alt}
+    // and {star}. The constructors simplify enough to keep the
+    // number of states finite.
+    const none = {}, done = {};
+    const seq = (a, b) => a === none || b === none ? none :
+        a === done ? b : b === done ? a :
+        a.seq ? seq(a.seq[0], seq(a.seq[1], b)) : {seq: [a, b]};
+    const alt = (a, b) => {
+      const unique = new Map();
+      const add = (r) => r.alt ? r.alt.forEach(add) : r === none || unique.set(show(r), r);
+      add(a);
+      add(b);
+      const rs = Array.from(unique.keys()).sort().map((k) => unique.get(k));
+      return rs.length === 0 ? none : rs.length === 1 ? rs[0] : {alt: rs};
+    };
+    const star = (a) => a === none || a === done ? done : a.star ? a : {star: a};
+    // Prints r at the given level: 0 inside alternatives, 1 inside
+    // sequences and 2 under *, + and ?.
+    const show = (r, level = 0) => {
+      let s, precedence = 2;
+      if (r === done) {
+        s = 'end';
+      } else if (r.name) {
+        s = r.name;
+      } else if (r.star) {
+        s = `${show(r.star, 2)}*`;
+      } else if (r.seq) {
+        s = `${show(r.seq[0], 1)} ${show(r.seq[1], 1)}`;
+        precedence = 1;
+      } else {
+        const rest = r.alt.filter((a) => a !== done);
+        s = rest.map((a) => show(a, 1)).join(' | ');
+        precedence = rest.length > 1 ? 0 : 2;
+        if (rest.length < r.alt.length) {
+          s = `${precedence < 2 ? `(${s})` : show(rest[0], 2)}?`;
+          precedence = 2;
+        }
+      }
+      return precedence < level ? `(${s})` : s;
+    };
+    const nullable = (r) => r === done || !!(r.star ||
+        (r.seq && r.seq.every(nullable)) || (r.alt && r.alt.some(nullable)));
+    // The expression left to match after a call of k.
+    const derive = (r, k) =>
+        r === none || r === done ? none :
+        r.name ? (r.name === k ? done : none) :
+        r.star ? seq(derive(r.star, k), r) :
+        r.alt ? r.alt.map((a) => derive(a, k)).reduce(alt, none) :
+        alt(seq(derive(r.seq[0], k), r.seq[1]), nullable(r.seq[0]) ? derive(r.seq[1], k) : none);
+    // Parses by recursive descent.
+    const alphabet = new Set();
+    const tokens = source.match(/[A-Za-z_$][\w$]*|\S/g) || [];
+    let i = 0;
+    const parseAlt = () => {
+      let r = parseSeq();
+      while (tokens[i] === '|') {
+        ++i;
+        r = alt(r, parseSeq());
+      }
+      return r;
+    };
+    const parseSeq = () => {
+      let r = done;
+      while (i < tokens.length && tokens[i] !== '|' && tokens[i] !== ')') {
+        r = seq(r, parsePost());
+      }
+      return r;
+    };
+    const parsePost = () => {
+      let r = parseAtom();
+      for (; ['*', '+', '?'].includes(tokens[i]); ++i) {
+        r = tokens[i] === '*' ? star(r) : tokens[i] === '+' ? seq(r, star(r)) : alt(r, done);
+      }
+      return r;
+    };
+    const parseAtom = () => {
+      const token = tokens[i++];
+      if (token === '(') {
+        const r = parseAlt();
+        if (tokens[i++] !== ')') {
+          throw new TypeError(`Expected ) in ${source}.`);
+        }
+        return r;
+      }
+      if (!/^[A-Za-z_$]/.test(token || '')) {
+        throw new TypeError(`Unexpected ${token || 'end'} in ${source}.`);
+      }
+      alphabet.add(token);
+      return {name: token};
+    };
+    const start = parseAlt();
+    if (i < tokens.length) {
+      throw new TypeError(`Unexpected ${tokens[i]} in ${source}.`);
+    }
+    return {
+      start,
+      alphabet,
+      step: (r, k) => {
+        const next = derive(r, k);
+        return next === none ? void 0 : next;
+      },
+      allowed: (r) => Array.from(alphabet).filter((k) => derive(r, k) !== none),
+      show: (r) => `\`${show(r)}\``
+    };
+  };
+
+  // Creates a contract for an object or function that must be used
+  // in a given order, described by a regular expression over the
+  // method names or a state machine as above. Calling a function
+  // counts as a call of the method call, e.g. a handler that may
+  // be called at most once satisfies
+  //   protocol('call?')
+  // The value is checked against c first, so the methods keep
+  // their own contracts, e.g.
+  //   protocol('open read* close', prods({open: hom(undef), ...}))
+  // Each check starts a new run of the machine, tracking the calls
+  // made through the result. A call out of order blames the caller,
+  // naming the state and the calls allowed in it. Methods are
+  // called on the object itself, so the calls they make to each
+  // other aren't tracked.
+  const protocol = described('protocol', (machine, c = any) => {
+    const m = typeof machine === 'string' ? callsMachine(machine) : statesMachine(object(machine));
+    func(c);
+    return (x, labels) => {
+      const y = enforce(c, x, labels);
+      let state = m.start;
+      // Moves to the state after a call of the method k, or
+      // rejects the call.
+      const step = (k, segment) => {
+        const next = m.step(state, k);
+        if (next !== void 0) {
+          state = next;
+          return;
+        }
+        const allowed = m.allowed(state);
+        const e = new ContractError(`${allowed.length ? allowed.join(' or ') : 'no more calls'} in state ${m.show(state)}`,
+            void 0, k);
+        if (!labels) {
+          throw at(e, segment);
+        }
+        violated(labels, 'Caller', 'made a call out of order', e, segment);
+      };
+      if (typeof y === 'function') {
+        const result = function () {
+          step('call', '');
+          return y.apply(this, arguments);
+        };
+        result.toString = () => y.toString();
+        return result;
+      }
+      if (!isObject(y)) {
+        throw new ContractError('an object or function', y);
+      }
+      // The wrapped methods, by name.
+      const wrappers = new Map();
+      const proxy = new Proxy(y, {
+        get: (target, p, receiver) => {
+          const v = Reflect.get(target, p, receiver);
+          if (typeof p !== 'string' || !m.alphabet.has(p) || typeof v !== 'function') {
+            return v;
+          }
+          if (!wrappers.has(p) || wrappers.get(p).v !== v) {
+            wrappers.set(p, {v, wrapper: function () {
+              step(p, prop(p));
+              return v.apply(this === proxy ? target : this, arguments);
+            }});
+          }
+          return wrappers.get(p).wrapper;
+        }
+      });
+      return proxy;
+    };
+  });
+
+  // Given a contract that decodes wire data into values and one
+  // that encodes values back, creates a codec. A codec is the
+  // decoding contract, so the structural combinators lift codecs
+  // just as they lift contracts, e.g.
+  //   const Event = prods({at: isoDate, id: bigIntString});
+  //   Event({at: '2017-06-16', id: '12'}) // {at: Date, id: 12n}
+  // and encoder(Event) encodes such values back.
+  const codec = (decode, encode, name = 'codec') => {
+    func(decode);
+    func(encode);
+    string(name);
+    // Both sides are described by the name of the codec.
+    const side = (f) => descriptions.has(f) ? f : named(name, (x) => f(x));
+    const [d, e] = [side(decode), side(encode)];
+    return reify((x, labels) => d(x, labels), {kind: 'codec', args: [d, e, name]});
+  };
+
+  // The encoding contracts, by codec or structure.
+  const encoders = new WeakMap();
+
+  // Returns the contract that encodes values of the contract c:
+  // the encoding side of each codec in c, rebuilt with the same
+  // combinators. Contracts that aren't codecs check values the
+  // same way in both directions.
+  const encoder = (c) => {
+    if (c instanceof Optional) {
+      return opt(encoder(c.c));
+    }
+    if (encoders.has(c)) {
+      return encoders.get(c);
+    }
+    const {kind, args} = describe(c);
+    const [x] = args;
+    const each = (cs) => {
+      const result = Array.isArray(cs) ? [] : {};
+      for (let i in cs) {
+        result[i] = encoder(cs[i]);
+      }
       return result;
     };
-    result.self = self.bind(result);
+    let result;
+    switch (kind) {
+      case 'codec':
+        result = args[1];
+        break;
+      case 'rec':
+        result = rec(() => encoder(x()), args[1]);
+        break;
+      case 'arrayOf':
+      case 'setOf':
+      case 'promOf':
+      case 'iterOf':
+      case 'asyncIterOf':
+        result = {arrayOf, setOf, promOf, iterOf, asyncIterOf}[kind](encoder(x), ...args.slice(1));
+        break;
+      case 'objectOf':
+        result = objectOf(encoder(x));
+        break;
+      case 'mapOf':
+        result = mapOf(encoder(x), encoder(args[1]));
+        break;
+      case 'prodn':
+        result = prodn(each(x), args[1] && rest(encoder(args[1].c)));
+        break;
+      case 'prods':
+      case 'coprods':
+        result = {prods, coprods}[kind](each(x));
+        break;
+      case 'coprodn':
+      case 'union':
+      case 'intersect':
+        result = {coprodn, union, intersect}[kind](each(x));
+        break;
+      default:
+        result = c;
+    }
+    encoders.set(c, result);
     return result;
   };
+
+  // Whether the ISO date string s, e.g. '2017-06-16', names a day
+  // that exists; Date rolls '2017-02-31' over into March.
+  const isDay = (s) => {
+    const d = new Date(`${s}T00:00:00Z`);
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+  };
+
+  // Dates as ISO 8601 date strings, e.g. '2017-06-16', at
+  // midnight UTC.
+  const isoDate = codec((s) => {
+    if (!formats.date.test(string(s)) || !isDay(s)) {
+      throw new ContractError('an ISO date like "2017-06-16"', s);
+    }
+    return new Date(s);
+  }, (d) => {
+    if (isNaN(date(d).getTime())) {
+      throw new ContractError('a valid date', d, 'an invalid date');
+    }
+    return d.toISOString().slice(0, 10);
+  }, 'isoDate');
+
+  // Dates as ISO 8601 date and time strings, as made by
+  // Date.prototype.toISOString. The time zone must be given, as Z
+  // or an offset, since without one the time is read as local.
+  const isoDateTime = codec((s) => {
+    const d = new Date(string(s));
+    if (!formats['date-time'].test(s) || !isDay(s.slice(0, 10)) || isNaN(d.getTime())) {
+      throw new ContractError('an ISO date and time like "2017-06-16T12:00:00Z"', s);
+    }
+    return d;
+  }, (d) => {
+    if (isNaN(date(d).getTime())) {
+      throw new ContractError('a valid date', d, 'an invalid date');
+    }
+    return d.toISOString();
+  }, 'isoDateTime');
+
+  // BigInts as strings of decimal digits, since JSON numbers
+  // lose precision past 2^53.
+  const bigIntString = codec((s) => {
+    if (!/^-?\d+$/.test(string(s))) {
+      throw new ContractError('a string of decimal digits', s);
+    }
+    return BigInt(s);
+  }, (n) => {
+    if (typeof n !== 'bigint') {
+      throw new ContractError('bigint', n, typeof n);
+    }
+    return String(n);
+  }, 'bigIntString');
+
+  // Given the name of a tag property and an object of contracts
+  // or codecs, creates a codec between objects tagged by that
+  // property and the values of coprods(cs), e.g. with
+  //   const Shape = tagged('kind', {circle: prods({r: number})});
+  // Shape({kind: 'circle', r: 1}) is ['circle', {r: 1}] and
+  // encoder(Shape) turns it back into {kind: 'circle', r: 1}.
+  const tagged = (tag, cs) => {
+    string(tag);
+    object(cs);
+    const tags = Object.keys(cs).map((k) => JSON.stringify(k)).join(', ');
+    const choose = (t, segment) => {
+      if (!cs.hasOwnProperty(t)) {
+        throw at(new ContractError(`one of ${tags}`, t), segment);
+      }
+      return cs[t];
+    };
+    const name = `tagged(${JSON.stringify(tag)}, {${Object.keys(cs).map((k) => `${key(k)}: ${signature(cs[k])}`).join(', ')}})`;
+    return codec(named(name, (o, labels) => {
+      const t = object(o)[tag];
+      const c = choose(t, prop(tag));
+      const fields = Object.assign({}, o);
+      delete fields[tag];
+      return [t, enforce(c, fields, labels)];
+    }), named(name, (choice, labels) => {
+      const c = encoder(choose(array(choice)[0], '[0]'));
+      try {
+        return Object.assign({[tag]: choice[0]}, enforce(c, choice[1], labels));
+      } catch (e) {
+        throw at(e, '[1]');
+      }
+    }), name);
+  };
+
+  // Checks x against the contract c without throwing, finding
+  // every violation rather than the first. Returns
+  //   {ok: true, value}    with the checked value, or
+  //   {ok: false, errors}  with a ContractError for each violation.
+  // The errors from union, anyOf and coprods have branches
+  // [{contract, error}] saying why each alternative was rejected.
+  const validate = (c, x) => {
+    func(c);
+    ++collecting;
+    try {
+      return {ok: true, value: enforce(c, x)};
+    } catch (e) {
+      e = at(e, '');
+      return {ok: false, errors: e.errors || [e]};
+    } finally {
+      --collecting;
+    }
+  };
+
+  // How the contracts of each namespace are enforced, by name;
+  // '*' holds the default for the others.
+  const policies = {'*': {level: 'full'}};
+
+  const levels = ['full', 'boundary', 'sample', 'log', 'off'];
+
+  // Sets how contracts are enforced in the namespace with the given
+  // name, or with '*', in every namespace not configured. Options:
+  //   level: 'full' checks everything (the default);
+  //     'boundary' checks only function contracts, such as the hom
+  //     contracts of a module's exports, and erases the rest;
+  //     'sample' checks one in every rate values or calls;
+  //     'log' checks everything, but reports violations and carries
+  //     on with the unchecked values; violations found later, as by
+  //     the promises and iterators that contracts return, are still
+  //     thrown;
+  //     'off' erases contracts, so that hom(...)(f) is f itself and
+  //     data contracts return their input.
+  //   rate: for 'sample', default 100.
+  //   onViolation: called with each violation before it is thrown,
+  //     or instead of throwing for 'log', where it defaults to
+  //     console.warn.
+  // A namespace reads its settings as its contracts are applied, so
+  // configure it at load time, before the modules using it.
+  const configure = (name, options) => {
+    string(name);
+    const {level = 'full', rate = 100, onViolation} = object(options);
+    if (levels.indexOf(level) < 0) {
+      throw new ContractError(`one of the levels ${levels.join(', ')}`, level);
+    }
+    range({min: 1, integer: true})(rate);
+    if (onViolation !== void 0) {
+      func(onViolation);
+    }
+    policies[name] = {level, rate, onViolation};
+  };
+
+  // Returns a function that applies contracts as configured for
+  // the namespace with the given name, e.g.
+  //   const checked = namespace('billing');
+  //   const add = checked(hom(int32, int32, int32))(function add(a, b) { ... });
+  //   const Row = checked(prods({id: int32}));
+  // The returned contracts have the same descriptions as the
+  // contracts given.
+  const namespace = (name) => {
+    string(name);
+    return (c) => {
+      func(c);
+      const {level, rate, onViolation} = policies.hasOwnProperty(name) ? policies[name] : policies['*'];
+      const description = describe(c);
+      const isFunction = description.kind === 'hom' || description.kind === 'asyncHom';
+      if (level === 'off' || (level === 'boundary' && !isFunction)) {
+        return reify((x) => x, description);
+      }
+      if (level === 'log') {
+        const report = onViolation || ((e) => console.warn(e));
+        return reify(isFunction ?
+            (f, labels) => enforce(c, f, Object.assign({}, labels, {report})) :
+            (x, labels) => {
+              try {
+                return enforce(c, x, labels);
+              } catch (e) {
+                report(at(e, ''));
+                return x;
+              }
+            }, description);
+      }
+      if (level !== 'sample' && !onViolation) {
+        return c;
+      }
+      // Checks one in every rate times when sampling, and reports
+      // violations before throwing them.
+      let count = 0;
+      const sampled = () => level !== 'sample' || count++ % rate === 0;
+      const reported = (check, unchecked) => {
+        if (!sampled()) {
+          return unchecked();
+        }
+        try {
+          return check();
+        } catch (e) {
+          if (onViolation && e instanceof ContractError) {
+            onViolation(e);
+          }
+          throw e;
+        }
+      };
+      // Function guards keep the name and source of the guard of c,
+      // and are given back when they are guarded again.
+      const contract = reify(isFunction ?
+          judged((f, labels) => {
+            const key = labelsKey(labels);
+            const guarded = enforce(c, f, labels);
+            const result = function () {
+              return reported(() => guarded.apply(this, arguments), () => f.apply(this, arguments));
+            };
+            Object.defineProperty(result, 'name', {value: guarded.name});
+            result.toString = () => guarded.toString();
+            judge(result, contract, key, result);
+            return result;
+          }) :
+          (x, labels) => reported(() => enforce(c, x, labels), () => x), description);
+      return contract;
+    };
+  };
+
+  // Returns the description of the contract c. Contracts not made
+  // by this library are described as opaque, by their name.
+  const describe = (c) => descriptions.get(c) || {kind: 'opaque', args: [c.name || 'anonymous']};
+
+  // Property names as they appear in signatures.
+  const key = (k) => /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k);
+
+  // Pretty-prints the type signature of the contract c, e.g.
+  // (int32, string?) -> Array<boolean>. Unions, intersections and
+  // function types are parenthesized when they appear in a context
+  // that binds tighter than the given level: 0 for function types,
+  // 1 for unions, 2 for intersections and 3 for the rest.
+  const signature = (c, level = 0) => {
+    const {kind, args} = describe(c);
+    const [x] = args;
+    const each = (cs, lvl) => cs.map((c) => signature(c, lvl));
+    const fields = (cs) => Object.keys(cs).map((k) => `${key(k)}: ${signature(cs[k])}`).join(', ');
+    let result, precedence = 3;
+    switch (kind) {
+      case 'name':
+      case 'opaque':
+      case 'classOf':
+      case 'typeOf':
+        return x;
+      case 'instanceOf':
+        return x.name || 'anonymous';
+      case 're':
+        return String(x);
+      case 'refine':
+        return `refine(${signature(x)}, ${args[2]})`;
+      case 'literal':
+        return show(x);
+      case 'oneOf':
+        result = x.map((v) => show(v)).join(' | ');
+        precedence = x.length > 1 ? 1 : 3;
+        break;
+      case 'range': {
+        const {integer} = x || {};
+        const inside = interval(x || {});
+        result = `${integer ? 'integer' : 'number'}${/^[[(]/.test(inside) ? '' : ' '}${inside}`.trim();
+        precedence = /^[<>]/.test(inside) ? 2 : 3;
+        break;
+      }
+      case 'text': {
+        const {min = 0, max = Infinity, pattern, format} = x || {};
+        const parts = [`string${min === 0 && max === Infinity ? '' : `[${min || ''}..${max === Infinity ? '' : max}]`}`]
+            .concat(pattern ? [String(pattern)] : [], format ? [format] : []);
+        result = parts.join(' & ');
+        precedence = parts.length > 1 ? 2 : 3;
+        break;
+      }
+      case 'promOf':
+        return `Promise<${signature(x)}>`;
+      case 'asyncIterOf':
+        return `AsyncIterable<${signature(x)}>`;
+      case 'iterOf':
+        return `Iterable<${signature(x)}>`;
+      case 'genOf':
+        return `Generator<${[x, args[1] || any, args[2] || any].map((c) => signature(c)).join(', ')}>`;
+      case 'arrayOf': {
+        const {min = 0, max = Infinity} = args[1] || {};
+        const lengths = min === 0 && max === Infinity ? '' :
+            `[${min || ''}..${max === Infinity ? '' : max}]`;
+        return `Array<${signature(x)}>${lengths}`;
+      }
+      case 'mapOf':
+        return `Map<${signature(x)}, ${signature(args[1])}>`;
+      case 'setOf':
+        return `Set<${signature(x)}>`;
+      case 'weakMapOf':
+        return `WeakMap<${signature(x)}, ${signature(args[1])}>`;
+      case 'typedArrayOf': {
+        const {min = -Infinity, max = Infinity} = args[1] || {};
+        return `${x.name}${min === -Infinity && max === Infinity ? '' : `[${min}, ${max}]`}`;
+      }
+      case 'rest':
+        return `...${signature(x, 3)}`;
+      case 'objectOf':
+        return `{[string]: ${signature(x)}}`;
+      case 'prodn':
+        return `[${each(args[1] ? x.concat([args[1]]) : x).join(', ')}]`;
+      case 'prods':
+      case 'interface':
+        return `{${fields(x)}}`;
+      case 'live': {
+        const {readOnly, sealed} = args[1] || {};
+        return `${readOnly ? 'readonly ' : ''}${sealed ? 'sealed ' : ''}live{${fields(x)}}`;
+      }
+      case 'pbn':
+        return `pullback[${each(x).join(', ')}]`;
+      case 'pbs':
+        return `pullback{${fields(x)}}`;
+      case 'equalizer':
+        return `equalizer(${each(x).join(', ')})`;
+      case 'opt':
+        return `${signature(x, 3)}?`;
+      case 'codec':
+        return args[2] || 'codec';
+      case 'dep':
+        return 'dependent';
+      case 'rec':
+        return args[1] || 'rec';
+      case 'coprodn':
+        result = x.map((c, i) => `[${i}, ${signature(c)}]`).join(' | ');
+        precedence = 1;
+        break;
+      case 'coprods':
+        result = Object.keys(x).map((k) => `[${JSON.stringify(k)}, ${signature(x[k])}]`).join(' | ');
+        precedence = 1;
+        break;
+      case 'pon':
+      case 'pos':
+        return `pushout(${signature(kind === 'pon' ? coprodn(x) : coprods(x))})`;
+      case 'union':
+        result = each(x, 2).join(' | ');
+        precedence = 1;
+        break;
+      case 'intersect':
+        result = each(x, 3).join(' & ');
+        precedence = 2;
+        break;
+      case 'protocol':
+        return `protocol(${typeof x === 'string' ? x : `from ${x.start}`}${args[1] ? `, ${signature(args[1])}` : ''})`;
+      case 'klass': {
+        const {args: inputs = [], methods = {}, accessors = {}, statics = {}} = x;
+        const members = Object.assign({}, methods, accessors);
+        return `class{${[`new (${each(inputs).join(', ')})`].concat(
+            Object.keys(members).map((k) => `${key(k)}: ${signature(members[k])}`),
+            Object.keys(statics).map((k) => `static ${key(k)}: ${signature(statics[k])}`)).join(', ')}}`;
+      }
+      case 'forall':
+        result = `forall ${args[1].join(', ')}. ` +
+            signature(x(...args[1].map((name) => named(name, (y) => y))));
+        precedence = 0;
+        break;
+      case 'self': {
+        // A method, with its receiver as a first argument this.
+        const method = describe(x);
+        if (method.kind !== 'hom' && method.kind !== 'asyncHom') {
+          return signature(x, level);
+        }
+        result = `${method.kind === 'asyncHom' ? 'async ' : ''}(${[`this: ${signature(args[1])}`].concat(
+            each(method.args.slice(0, -1))).join(', ')}) -> ${signature(method.args[method.args.length - 1])}`;
+        precedence = 0;
+        break;
+      }
+      case 'hom':
+      case 'asyncHom':
+        result = `${kind === 'asyncHom' ? 'async ' : ''}(${each(args.slice(0, -1)).join(', ')}) -> ` +
+            signature(args[args.length - 1]);
+        precedence = 0;
+        break;
+      default:
+        return kind;
+    }
+    return precedence < level ? `(${result})` : result;
+  };
     
   // Returns a memoized version of c.
   const memo = (c) => {
@@ -380,11 +2363,25 @@ define(() => {
     anyOf: union,
     array,
     arrayOf,
+    asyncHom,
+    asyncIterOf,
+    bigIntString,
     boolean,
+    cached,
+    codec,
+    configure,
     coprodn,
     coprods,
+    ContractError,
     date,
+    dep,
+    describe,
+    encoder,
+    equalizer,
+    forall,
+    forget,
     func,
+    genOf,
     hom,
     id: any,
     instanceOf,
@@ -392,7 +2389,16 @@ define(() => {
     int53,
     intersect,
     interface,
+    isoDate,
+    isoDateTime,
+    iterOf,
+    klass,
+    literal,
+    live,
+    map,
+    mapOf,
     memo,
+    namespace,
     nan,
     nat32,
     nat53,
@@ -400,17 +2406,36 @@ define(() => {
     number,
     object,
     objectOf,
+    oneOf,
     opt,
     pbn,
+    pbs,
+    pon,
+    pos,
     prodn,
     prods,
     promOf,
     promise,
+    protocol,
+    range,
     re,
+    rec,
+    refine,
     regexp,
+    rest,
+    set,
+    setOf,
+    show,
+    signature,
     string,
     symbol,
+    tagged,
+    text,
+    typedArrayOf,
     undef,
-    union
+    union,
+    validate,
+    weakMap,
+    weakMapOf
   };
 });
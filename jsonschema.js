@@ -0,0 +1,460 @@
+// Converts between contracts and JSON Schema (draft 2020-12).
+// fromJSONSchema(schema) builds a contract from a schema using
+// prods, arrayOf, prodn, union and friends, e.g.
+//   const Row = fromJSONSchema(JSON.parse(fs.readFileSync('row.json')));
+// and toJSONSchema(c) goes the other way for contracts that
+// have a JSON representation, throwing a TypeError for the rest.
+// Objects are checked with prods, so as usual the checked value
+// is a copy of the object. roundtrip.js checks that the two agree
+// on the fixture schemas in schemas/.
+define(['jscategory'], (jsc) => {
+  const {any, array, arrayOf, boolean, describe, intersect, literal, nul, object, objectOf,
+      oneOf, opt, prodn, prods, range, rec, refine, rest, signature, text, union} = jsc;
+
+  // Structural equality of JSON values, for enum, const and
+  // uniqueItems.
+  const equalJSON = (x, y) => {
+    if (x === y) {
+      return true;
+    }
+    if (!x || !y || typeof x !== 'object' || typeof y !== 'object' ||
+        Array.isArray(x) !== Array.isArray(y)) {
+      return false;
+    }
+    const keys = Object.keys(x);
+    return keys.length === Object.keys(y).length &&
+        keys.every((k) => y.hasOwnProperty(k) && equalJSON(x[k], y[k]));
+  };
+
+  const isPrimitive = (v) => v === null || typeof v !== 'object';
+
+  const passes = (c, x) => {
+    try {
+      c(x);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // The schemas for the refinements made by fromJSONSchema, which
+  // can't be recovered from their predicates. Each is a function
+  // from the converter for subcontracts to the schema.
+  const sources = new WeakMap();
+
+  // A refinement whose schema is given by toSchema.
+  const keyword = (c, predicate, description, toSchema) => {
+    const result = refine(c, predicate, description);
+    sources.set(result, toSchema);
+    return result;
+  };
+
+  // Objects in the JSON sense, which excludes arrays and null.
+  const jsonObject = keyword(object, (o) => o !== null && !Array.isArray(o), 'a JSON object',
+      () => ({type: 'object'}));
+
+  const nothing = keyword(any, () => false, 'nothing', () => false);
+
+  // The contract for a property that must be present.
+  const present = keyword(any, (v) => v !== void 0, 'a value', () => ({}));
+
+  // Keywords that only annotate, or that are read with others.
+  const annotations = ['$schema', '$id', '$comment', '$defs', 'definitions', 'title',
+      'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly', 'format'];
+
+  // The keywords that apply to each type.
+  const typed = {
+    number: ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'],
+    string: ['minLength', 'maxLength', 'pattern'],
+    array: ['items', 'prefixItems', 'minItems', 'maxItems', 'uniqueItems'],
+    object: ['properties', 'required', 'additionalProperties']
+  };
+  typed.integer = typed.number;
+
+  const general = ['type', 'enum', 'const', '$ref', 'allOf', 'anyOf', 'oneOf', 'not'];
+
+  // Follows the local reference ref, e.g. '#/$defs/Row', from root.
+  const resolve = (ref, root) => {
+    if (ref.charAt(0) !== '#') {
+      throw new TypeError(`Only local references are supported, got ${ref}.`);
+    }
+    return decodeURIComponent(ref.slice(1)).split('/').slice(1).reduce((s, segment) => {
+      const k = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!s || typeof s !== 'object' || !s.hasOwnProperty(k)) {
+        throw new TypeError(`Unresolved reference ${ref}.`);
+      }
+      return s[k];
+    }, root);
+  };
+
+  // Builds the contract for the schema s in the document root;
+  // refs holds the contracts for the references seen so far.
+  const build = (s, root, refs) => {
+    if (s === true) {
+      return any;
+    }
+    if (s === false) {
+      return nothing;
+    }
+    object(s);
+    const sub = (t) => build(t, root, refs);
+    Object.keys(s).forEach((k) => {
+      if (annotations.indexOf(k) < 0 && general.indexOf(k) < 0 &&
+          !Object.keys(typed).some((type) => typed[type].indexOf(k) >= 0)) {
+        throw new TypeError(`Unsupported JSON Schema keyword ${k}.`);
+      }
+    });
+
+    const numeric = (integer) => {
+      const bounds = {integer};
+      if (s.minimum !== void 0) {
+        bounds.min = s.minimum;
+      }
+      if (s.exclusiveMinimum !== void 0 && !(s.exclusiveMinimum < bounds.min)) {
+        Object.assign(bounds, {min: s.exclusiveMinimum, exclusiveMin: true});
+      }
+      if (s.maximum !== void 0) {
+        bounds.max = s.maximum;
+      }
+      if (s.exclusiveMaximum !== void 0 && !(s.exclusiveMaximum > bounds.max)) {
+        Object.assign(bounds, {max: s.exclusiveMaximum, exclusiveMax: true});
+      }
+      const c = range(bounds);
+      const m = s.multipleOf;
+      return m === void 0 ? c : keyword(c, (n) => Math.abs(n / m - Math.round(n / m)) < 1e-9,
+          `a multiple of ${m}`, (convert) => Object.assign(convert(c), {multipleOf: m}));
+    };
+
+    const branches = {
+      null: () => nul,
+      boolean: () => boolean,
+      number: () => numeric(false),
+      integer: () => numeric(true),
+      string: () => text({
+        min: s.minLength,
+        max: s.maxLength,
+        pattern: s.pattern === void 0 ? void 0 : new RegExp(s.pattern, 'u'),
+        format: text.formats.hasOwnProperty(s.format) ? s.format : void 0
+      }),
+      array: () => {
+        const lengths = {min: s.minItems, max: s.maxItems};
+        const parts = [];
+        if (s.prefixItems) {
+          // The prefix items must all be present.
+          parts.push(prodn(array(s.prefixItems).map(sub),
+              s.items === false ? void 0 : rest(s.items === void 0 ? any : sub(s.items))));
+          if (s.minItems !== void 0 || s.maxItems !== void 0) {
+            const {min = 0, max = Infinity} = lengths;
+            const bounds = {minItems: s.minItems, maxItems: s.maxItems};
+            Object.keys(bounds).forEach((k) => bounds[k] === void 0 && delete bounds[k]);
+            parts.push(keyword(any, (a) => a.length >= min && a.length <= max,
+                `an array of ${min} to ${max} items`, () => bounds));
+          }
+        } else {
+          parts.push(arrayOf(s.items === void 0 ? any : sub(s.items), lengths));
+        }
+        if (s.uniqueItems) {
+          parts.push(keyword(any, (a) => a.every((x, i) => a.slice(0, i).every((y) => !equalJSON(x, y))),
+              'an array of unique items', () => ({uniqueItems: true})));
+        }
+        return parts.length === 1 ? parts[0] : intersect(parts);
+      },
+      object: () => {
+        const properties = s.properties || {};
+        const required = s.required || [];
+        const extra = s.additionalProperties;
+        const known = Object.keys(properties).concat(required.filter((k) => !properties.hasOwnProperty(k)));
+        const parts = [jsonObject];
+        if (extra === false) {
+          parts.push(keyword(any, (o) => Object.keys(o).every((k) => known.indexOf(k) >= 0),
+              `an object with no properties besides ${known.join(', ')}`,
+              () => ({additionalProperties: false})));
+        } else if (extra !== void 0 && extra !== true && !known.length) {
+          parts.push(objectOf(sub(extra)));
+        } else if (extra !== void 0 && extra !== true) {
+          const c = sub(extra);
+          parts.push(keyword(any, (o) => Object.keys(o).every((k) => known.indexOf(k) >= 0 || passes(c, o[k])),
+              `an object whose other properties satisfy ${signature(c)}`,
+              (convert) => ({additionalProperties: convert(c)})));
+        }
+        if (known.length) {
+          const cs = {};
+          Object.keys(properties).forEach((k) => {
+            const c = sub(properties[k]);
+            cs[k] = required.indexOf(k) >= 0 ? c : opt(c);
+          });
+          required.forEach((k) => {
+            cs[k] = cs[k] || present;
+          });
+          parts.push(prods(cs));
+        }
+        return parts.length === 1 ? parts[0] : intersect(parts);
+      }
+    };
+
+    // Without a type, type-specific keywords apply only to values
+    // of that type.
+    let types = s.type === void 0 ? null : [].concat(s.type);
+    if (!types && Object.keys(typed).some((type) => typed[type].some((k) => s.hasOwnProperty(k)))) {
+      types = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+    }
+    const parts = [];
+    if (types) {
+      const cs = types.filter((type) => type !== 'integer' || types.indexOf('number') < 0).map((type) => {
+        if (!branches.hasOwnProperty(type)) {
+          throw new TypeError(`Unknown JSON Schema type ${type}.`);
+        }
+        return branches[type]();
+      });
+      parts.push(cs.length === 1 ? cs[0] : union(cs));
+    }
+    if (s.enum !== void 0) {
+      const values = array(s.enum);
+      parts.push(values.every(isPrimitive) ? oneOf(values) :
+          keyword(any, (x) => values.some((v) => equalJSON(x, v)),
+              `one of ${values.map((v) => JSON.stringify(v)).join(', ')}`, () => ({enum: values})));
+    }
+    if (s.hasOwnProperty('const')) {
+      const v = s.const;
+      parts.push(isPrimitive(v) ? literal(v) :
+          keyword(any, (x) => equalJSON(x, v), JSON.stringify(v), () => ({const: v})));
+    }
+    if (s.$ref !== void 0) {
+      if (!refs.has(s.$ref)) {
+        const target = resolve(s.$ref, root);
+        const name = s.$ref.split('/').pop() || 'root';
+        refs.set(s.$ref, rec(() => build(target, root, refs), name));
+      }
+      parts.push(refs.get(s.$ref));
+    }
+    if (s.allOf) {
+      parts.push(...array(s.allOf).map(sub));
+    }
+    if (s.anyOf) {
+      parts.push(union(array(s.anyOf).map(sub)));
+    }
+    if (s.oneOf) {
+      const cs = array(s.oneOf).map(sub);
+      parts.push(keyword(union(cs), (x) => cs.filter((c) => passes(c, x)).length === 1,
+          `exactly one of ${cs.map((c) => signature(c, 2)).join(', ')}`,
+          (convert) => ({oneOf: cs.map(convert)})));
+    }
+    if (s.not !== void 0) {
+      const c = sub(s.not);
+      parts.push(keyword(any, (x) => !passes(c, x), `not ${signature(c, 3)}`,
+          (convert) => ({not: convert(c)})));
+    }
+    return parts.length === 0 ? any : parts.length === 1 ? parts[0] : intersect(parts);
+  };
+
+  // Returns a contract for the values valid under the schema.
+  const fromJSONSchema = (schema) => build(schema, schema, new Map());
+
+  // Schemas for the base contracts, by name.
+  const names = {
+    any: {},
+    null: {type: 'null'},
+    int32: {type: 'integer', minimum: -0x80000000, maximum: 0x7fffffff},
+    nat32: {type: 'integer', minimum: 0, maximum: 0x7fffffff},
+    int53: {type: 'integer', minimum: -(Math.pow(2, 53) - 1), maximum: Math.pow(2, 53) - 1},
+    nat53: {type: 'integer', minimum: 0, maximum: Math.pow(2, 53) - 1}
+  };
+
+  // Schemas for typeof tests; null and arrays are objects too.
+  const types = {
+    boolean: {type: 'boolean'},
+    number: {type: 'number'},
+    object: {type: ['object', 'array', 'null']},
+    string: {type: 'string'}
+  };
+
+  const isJSON = (v) => {
+    try {
+      return equalJSON(JSON.parse(JSON.stringify(v)), v);
+    } catch (e) {
+      return false;
+    }
+  };
+
+  const isUndefined = (c) => {
+    const {kind, args} = describe(c);
+    return kind === 'name' && args[0] === 'undefined';
+  };
+
+  // Merges the schemas of an intersection into one schema when
+  // they don't disagree on any keyword, else uses allOf.
+  const merge = (schemas) => {
+    if (schemas.indexOf(false) >= 0) {
+      return false;
+    }
+    schemas = schemas.filter((s) => s !== true);
+    const merged = {};
+    for (const s of schemas) {
+      for (const k of Object.keys(s)) {
+        if (merged.hasOwnProperty(k) && !equalJSON(merged[k], s[k])) {
+          return {allOf: schemas};
+        }
+        merged[k] = s[k];
+      }
+    }
+    return merged;
+  };
+
+  // Returns the schema for the contract c. Recursive contracts
+  // are added to defs and referred to with $ref.
+  const convert = (c, defs, seen) => {
+    const to = (c) => convert(c, defs, seen);
+    if (sources.has(c)) {
+      return sources.get(c)(to);
+    }
+    const {kind, args} = describe(c);
+    const [x] = args;
+    switch (kind) {
+      case 'name':
+        if (names.hasOwnProperty(x)) {
+          return JSON.parse(JSON.stringify(names[x]));
+        }
+        break;
+      case 'typeOf':
+        if (types.hasOwnProperty(x)) {
+          return JSON.parse(JSON.stringify(types[x]));
+        }
+        break;
+      case 'classOf':
+        if (x === 'Array') {
+          return {type: 'array'};
+        }
+        break;
+      case 're':
+        return {type: 'string', pattern: x.source};
+      case 'text': {
+        const {min = 0, max = Infinity, pattern, format} = x || {};
+        const s = {type: 'string'};
+        if (min) {
+          s.minLength = min;
+        }
+        if (max !== Infinity) {
+          s.maxLength = max;
+        }
+        if (pattern) {
+          s.pattern = pattern.source;
+        }
+        if (format) {
+          s.format = format;
+        }
+        return s;
+      }
+      case 'range': {
+        const {min = -Infinity, max = Infinity, integer, exclusiveMin, exclusiveMax} = x || {};
+        const s = {type: integer ? 'integer' : 'number'};
+        if (min !== -Infinity) {
+          s[exclusiveMin ? 'exclusiveMinimum' : 'minimum'] = min;
+        }
+        if (max !== Infinity) {
+          s[exclusiveMax ? 'exclusiveMaximum' : 'maximum'] = max;
+        }
+        return s;
+      }
+      case 'literal':
+        if (isJSON(x)) {
+          return {const: x};
+        }
+        break;
+      case 'oneOf':
+        if (x.every(isJSON)) {
+          return {enum: x.slice()};
+        }
+        break;
+      case 'arrayOf': {
+        const {min = 0, max = Infinity} = args[1] || {};
+        const s = {type: 'array', items: to(x)};
+        if (min) {
+          s.minItems = min;
+        }
+        if (max !== Infinity) {
+          s.maxItems = max;
+        }
+        return s;
+      }
+      case 'prodn': {
+        const s = {type: 'array', prefixItems: x.map(to), items: args[1] ? to(args[1].c) : false};
+        if (x.length) {
+          s.minItems = x.length;
+        }
+        return s;
+      }
+      case 'objectOf':
+        return {type: 'object', additionalProperties: to(x)};
+      case 'prods':
+      case 'interface':
+      case 'live': {
+        // Properties that are opt(c) or whose contracts accept
+        // undefined may be absent.
+        const properties = {};
+        const required = [];
+        Object.keys(x).forEach((k) => {
+          const d = describe(x[k]);
+          properties[k] = to(d.kind === 'opt' ? d.args[0] : x[k]);
+          if (d.kind !== 'opt' && !passes(x[k], void 0)) {
+            required.push(k);
+          }
+        });
+        return required.length ? {type: 'object', properties, required} : {type: 'object', properties};
+      }
+      case 'coprodn':
+      case 'coprods': {
+        const tags = kind === 'coprodn' ? x.map((c, i) => i) : Object.keys(x);
+        return {
+          oneOf: tags.map((tag) => ({
+            type: 'array',
+            prefixItems: [{const: tag}, to(x[tag])],
+            items: false,
+            minItems: 2
+          }))
+        };
+      }
+      case 'union': {
+        // Undefined has no JSON; it's how absent properties look.
+        const cs = x.filter((c) => !isUndefined(c));
+        if (cs.length === 1) {
+          return to(cs[0]);
+        }
+        if (cs.length) {
+          return {anyOf: cs.map(to)};
+        }
+        break;
+      }
+      case 'intersect':
+        return merge(x.map(to));
+      case 'rec': {
+        if (!seen.has(c)) {
+          let name = args[1] || 'rec';
+          for (let i = 2; defs.hasOwnProperty(name); ++i) {
+            name = `${args[1] || 'rec'}${i}`;
+          }
+          seen.set(c, name);
+          defs[name] = true;
+          defs[name] = to(x());
+        }
+        return {$ref: `#/$defs/${seen.get(c)}`};
+      }
+    }
+    throw new TypeError(`${signature(c)} has no JSON Schema.`);
+  };
+
+  // Returns a draft 2020-12 schema for the values satisfying c.
+  const toJSONSchema = (c) => {
+    const defs = {};
+    let schema = convert(c, defs, new Map());
+    if (typeof schema === 'boolean') {
+      schema = schema ? {} : {not: {}};
+    }
+    return Object.assign({$schema: 'https://json-schema.org/draft/2020-12/schema'}, schema,
+        Object.keys(defs).length ? {$defs: defs} : {});
+  };
+
+  return {
+    fromJSONSchema,
+    toJSONSchema
+  };
+});
@@ -0,0 +1,196 @@
+// Algebraic theories and a checker for their laws.
+// It's undecidable to test the relations of a theory in general,
+// so instead we test them on random elements: a theory is a name
+// and a set of laws, each law an equation between two terms in
+// some variables. check(theory, instance) picks random values for
+// the variables and reports every law that fails, with the
+// violating inputs shrunk to a minimal counterexample.
+//
+// Instances use the same names as examples.js:
+//   monoid, semilattice:  {t: carrier contract, '*': times, 1: unit}
+//   group:                a monoid plus inv
+//   monoid homomorphism:  {from: monoid, to: monoid, h: function}
+//   functor:              {F: contract => contract, map: f => (Fx => Fy)}
+//   monad:                a functor plus the family t => {t: F(t), '*': flatten, 1: lift}
+//                         made by monad(ftor, times, ident) in examples.js
+//   natural transformation: {F: functor, G: functor, eta: t => (F.F(t) => G.F(t))}
+define(['jscategory', 'arbitrary'], (jsc, arb) => {
+  const {func, hom, int32, object, show} = jsc;
+  const {forAll} = arb;
+
+  // Structural equality: arrays and plain objects are equal when
+  // their elements are, dates when their times are.
+  const equal = (x, y) => {
+    if (Object.is(x, y)) {
+      return true;
+    }
+    if (x instanceof Date && y instanceof Date) {
+      return x.getTime() === y.getTime();
+    }
+    if (!x || !y || typeof x !== 'object' || typeof y !== 'object' ||
+        Array.isArray(x) !== Array.isArray(y)) {
+      return false;
+    }
+    const keys = Object.keys(x);
+    return keys.length === Object.keys(y).length &&
+        keys.every((k) => y.hasOwnProperty(k) && equal(x[k], y[k]));
+  };
+
+  // Creates a theory with the given laws and all the laws of
+  // the theories it extends. Each law is
+  //   {vars: (instance, t) => [contract, ...],
+  //    sides: (instance, ...values) => [lhs, rhs]}
+  // where t is the element contract for functors and monads.
+  const theory = (name, laws, ...bases) => {
+    object(laws);
+    for (let i in laws) {
+      func(laws[i].vars);
+      func(laws[i].sides);
+    }
+    return {
+      name,
+      laws: Object.assign({}, ...bases.map((base) => base.laws), laws)
+    };
+  };
+
+  const times = (m) => m['*'];
+
+  const associative = {
+    vars: (m) => [m.t, m.t, m.t],
+    sides: (m, a, b, c) => [times(m)(a, times(m)(b, c)), times(m)(times(m)(a, b), c)]
+  };
+
+  const monoid = theory('monoid', {
+    associativity: associative,
+    leftUnit: {
+      vars: (m) => [m.t],
+      sides: (m, a) => [times(m)(m[1], a), a]
+    },
+    rightUnit: {
+      vars: (m) => [m.t],
+      sides: (m, a) => [times(m)(a, m[1]), a]
+    }
+  });
+
+  const group = theory('group', {
+    leftInverse: {
+      vars: (g) => [g.t],
+      sides: (g, a) => [times(g)(g.inv(a), a), g[1]]
+    },
+    rightInverse: {
+      vars: (g) => [g.t],
+      sides: (g, a) => [times(g)(a, g.inv(a)), g[1]]
+    }
+  }, monoid);
+
+  const semilattice = theory('semilattice', {
+    associativity: associative,
+    commutativity: {
+      vars: (m) => [m.t, m.t],
+      sides: (m, a, b) => [times(m)(a, b), times(m)(b, a)]
+    },
+    idempotence: {
+      vars: (m) => [m.t],
+      sides: (m, a) => [times(m)(a, a), a]
+    }
+  });
+
+  const monoidHom = theory('monoid homomorphism', {
+    preservesTimes: {
+      vars: ({from}) => [from.t, from.t],
+      sides: ({from, to, h}, a, b) => [h(times(from)(a, b)), times(to)(h(a), h(b))]
+    },
+    preservesUnit: {
+      vars: () => [],
+      sides: ({from, to, h}) => [h(from[1]), to[1]]
+    }
+  });
+
+  const compose = (g, f) => (x) => g(f(x));
+
+  const functor = theory('functor', {
+    identity: {
+      vars: (F, t) => [F.F(t)],
+      sides: (F, x) => [F.map((y) => y)(x), x]
+    },
+    composition: {
+      vars: (F, t) => [F.F(t), hom(t, t), hom(t, t)],
+      sides: (F, x, f, g) => [F.map(compose(g, f))(x), F.map(g)(F.map(f)(x))]
+    }
+  });
+
+  // The monad laws, in terms of flatten and lift as in examples.js.
+  const monad = theory('monad', {
+    leftUnit: {
+      vars: (M, t) => [M.F(t)],
+      sides: (M, x, t) => [M.monad(t)['*'](M.monad(M.F(t))[1](x)), x]
+    },
+    rightUnit: {
+      vars: (M, t) => [M.F(t)],
+      sides: (M, x, t) => [M.monad(t)['*'](M.map(M.monad(t)[1])(x)), x]
+    },
+    associativity: {
+      vars: (M, t) => [M.F(M.F(M.F(t)))],
+      sides: (M, x, t) => [
+        M.monad(t)['*'](M.monad(M.F(t))['*'](x)),
+        M.monad(t)['*'](M.map(M.monad(t)['*'])(x))
+      ]
+    }
+  }, functor);
+
+  // Mapping before or after a component gives the same result.
+  const natural = theory('natural transformation', {
+    naturality: {
+      vars: ({F}, t) => [F.F(t), hom(t, t)],
+      sides: ({F, G, eta}, x, f, t) => [G.map(f)(eta(t)(x)), eta(t)(F.map(f)(x))]
+    }
+  });
+
+  // Checks every law of the theory on the instance and returns
+  //   {theory, ok, failures: [{law, counterexample, message}]}.
+  // Options: t, the element contract for functors and monads
+  // (default int32); equal, to compare the two sides of a law
+  // (default structural equality); and seed and runs for forAll.
+  const check = (theory, instance, options = {}) => {
+    const {t = int32, equal: eq = equal} = options;
+    const failures = [];
+    Object.keys(theory.laws).forEach((name) => {
+      const law = theory.laws[name];
+      try {
+        forAll(law.vars(instance, t), (...xs) => {
+          const [lhs, rhs] = law.sides(instance, ...xs, t);
+          if (!eq(lhs, rhs)) {
+            throw new Error(`${show(lhs, 3)} is not ${show(rhs, 3)}`);
+          }
+        }, options);
+      } catch (e) {
+        failures.push({law: name, counterexample: e.counterexample, message: e.message});
+      }
+    });
+    return {theory: theory.name, ok: failures.length === 0, failures};
+  };
+
+  // Like check, but throws an Error describing the failures.
+  const verify = (theory, instance, options) => {
+    const report = check(theory, instance, options);
+    if (!report.ok) {
+      throw new Error(`Not a ${theory.name}:\n` +
+          report.failures.map((f) => `  ${f.law}: ${f.message}`).join('\n'));
+    }
+    return instance;
+  };
+
+  return {
+    check,
+    equal,
+    functor,
+    group,
+    monad,
+    monoid,
+    monoidHom,
+    natural,
+    semilattice,
+    theory,
+    verify
+  };
+});
@@ -1,16 +1,12 @@
-// Turn Array into a monad.
-// Usual definition of flatten; see, e.g.
-// http://goo.gl/lLQpes
-Object.defineProperty(Array.prototype, "flatten", {
-  enumerable:false, 
-  writable:true, 
-  configurable:true, 
-  value: function () {
-    return this.reduce(function (previous, current) {
-      return previous.concat(current);
-    });
-  }
-});
+// Do-notation for monads. This used to be done with magic:
+// Function.prototype.valueOf mapped each function in
+//   (M.array(0) > grow > grow)._
+// over a global stack, and Boolean.prototype._ popped the result.
+// That patched built-in prototypes and shared the stack with any
+// other code, so now doM from monads.js does the same with a
+// generator and nothing global.
+var monads = require('monads');
+var doM = monads.doM;
 
 // L-system for growing trees; see, e.g. 
 // https://www.khanacademy.org/computer-programming/tree/1029209629
@@ -24,83 +20,29 @@ function makeGrow(twig) {
   };
 }
 
-// Abstract Maybe class 
-function Maybe() { throw Error("abstract!"); }
-Maybe.prototype.map = function (f) {
-  if (this instanceof Some) {
-    return some(f(this.v));
-  } else {
-    return none;
-  }
-};
-Maybe.prototype.flatten = function () {
-  if (this instanceof Some) {
-    return this.v;
-  } else {
-    return none;
-  }
-};
-// Concrete constructors for Maybe
-function Some(v) { this.v = v; }
-Some.prototype = Object.create(Maybe.prototype);
-Some.prototype.toString = function () { return "some(" + JSON.stringify(this.v) + ")"; };
-function some(v) { return new Some(v); }
-function None() { }
-None.prototype = Object.create(Maybe.prototype);
-None.prototype.toString = function () { return "none"; };
-var none = new None();
-
 // invert:number => Maybe<number>
 function invert(n) {
-  if (n === 0) { return none; }
-  return some(1/n);
+  if (n === 0) { return monads.none; }
+  return monads.some(1/n);
 }
 
-// Magical stuff here
-var M = (function () {
-  // Computation stack in case we have nested monadic
-  // bind expressions
-  var stack = [];
-  
-  // Magic 1: when an object is used as an argument to
-  // greater-than, its valueOf function is invoked. The
-  // default implementation for function objects isn't
-  // side-effecting, but we can make it map the function
-  // over the state and then flatten (i.e. monadic bind
-  // is map followed by the monadic multiplication).
-  // This implementation is independent of the map and
-  // flatten methods of the object on the top of the stack.
-  Function.prototype.valueOf = function () {
-    if (stack[0] && stack[0].map) {
-      stack[0] = stack[0].map(this).flatten();
-    }
-    return this;
-  };
-  
-  // Magic 2: the result of an expression involving
-  // greater-than is a boolean.  We can add a property to
-  // booleans that pops the result off the stack.
-  Object.defineProperty(Boolean.prototype, "_", {
-    get: function() {
-      return stack.pop();
-    }
-  });
-
-  
-  
-  // Monadic unit pushes state onto the top of the stack.
-  return {
-    array: function (s) { stack.push([s]); },
-    maybe: function (s) { stack.push(some(s)); }
-  };
-})();
-
 // Choose a nice twig.
 var grow = makeGrow([1,4,2,0,5,1,4,3,0,5,0]);
 // Grow it twice.
-console.log( (M.array(0) > grow > grow)._ );
+console.log(doM(monads.List, function* () {
+  var a = yield [0];
+  var b = yield grow(a);
+  return grow(b);
+}));
 
 // Inverting twice is the identity on non-zero numbers
-console.log('' + (M.maybe(5) > invert > invert)._ );
+var invertTwice = function (n) {
+  return doM(monads.Maybe, function* () {
+    var a = yield monads.some(n);
+    var b = yield invert(a);
+    return invert(b);
+  });
+};
+console.log(invertTwice(5));
 // Inverting twice is undefined on zero
-console.log('' + (M.maybe(0) > invert > invert)._ );
+console.log(invertTwice(0));
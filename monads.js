@@ -0,0 +1,153 @@
+// Monads with contracts for their values. Each monad is
+//   {of, map, flatten, chain, ap, contract}
+// where of is the unit, map(f)(mx) and flatten(mmx) are as in the
+// monoid-in-endofunctors presentation of examples.js, chain(f)(mx)
+// is flatten(map(f)(mx)) and ap(mf)(mx) applies the functions in
+// mf to the values in mx. contract(c) is the contract for values
+// of the monad holding values of c, so that, e.g.
+//   hom(int32, Maybe.contract(int32))
+// is the contract for a partial function on integers. The
+// contracts are made from the usual combinators: Maybe and Either
+// values are tagged like coprods, e.g. ['some', 3] or
+// ['left', 'oops'].
+define(['jscategory'], (jsc) => {
+  const {any, arrayOf, coprods, func, hom, promOf, undef} = jsc;
+
+  // Adds chain and ap to a monad given by of, map and flatten.
+  const monad = (of, map, flatten, contract) => {
+    const chain = (f) => (mx) => flatten(map(func(f))(mx));
+    const ap = (mf) => (mx) => chain((f) => map(f)(mx))(mf);
+    return {of, map, flatten, chain, ap, contract};
+  };
+
+  // Optional values: some(x) or none.
+  const some = (x) => ['some', x];
+  const none = ['none', void 0];
+  const maybeOf = (c) => coprods({some: c, none: undef});
+  const Maybe = monad(some,
+      (f) => (m) => m[0] === 'some' ? some(f(m[1])) : none,
+      (mm) => mm[0] === 'some' ? mm[1] : none,
+      maybeOf);
+
+  // Results or errors: right(x) or left(e). Maps over results.
+  const left = (e) => ['left', e];
+  const right = (x) => ['right', x];
+  const eitherOf = (l, r) => coprods({left: l, right: r});
+  const Either = monad(right,
+      (f) => (e) => e[0] === 'right' ? right(f(e[1])) : e,
+      (ee) => ee[0] === 'right' ? ee[1] : ee,
+      // The contract for errors comes second so that
+      // Either.contract(c) has errors of any kind.
+      (r, l = any) => eitherOf(l, r));
+
+  // Arrays, for nondeterminism.
+  const List = monad((x) => [x],
+      (f) => (xs) => xs.map((x) => f(x)),
+      (xss) => [].concat(...xss),
+      arrayOf);
+
+  // Values computed when forced, as functions of no arguments.
+  const Lazy = monad((x) => () => x,
+      (f) => (lx) => () => f(lx()),
+      (llx) => () => llx()(),
+      (c) => hom(c));
+
+  // Continuations: functions taking a function from values to
+  // answers of type r, by default any.
+  const Cont = monad((x) => (k) => k(x),
+      (f) => (cx) => (k) => cx((x) => k(f(x))),
+      (ccx) => (k) => ccx((cx) => cx(k)),
+      (c, r = any) => hom(hom(c, r), r));
+
+  // Promises. Since promises resolve promises, the laws hold only
+  // for values that aren't thenables.
+  const Async = monad((x) => Promise.resolve(x),
+      (f) => (px) => px.then((x) => f(x)),
+      (ppx) => ppx.then((px) => px),
+      promOf);
+
+  // Returns the function bind(mx, f) for the monad M, which is
+  // either an object with map and flatten as above, or a family
+  // t => {t: F(t), '*': flatten, 1: unit} like listMon in
+  // examples.js, whose functor maps f over mx as F(f)(mx).
+  const binder = (M) => {
+    if (M && typeof M.map === 'function' && typeof M.flatten === 'function') {
+      return (mx, f) => M.flatten(M.map(f)(mx));
+    }
+    if (typeof M === 'function') {
+      return (mx, f) => M(any)['*'](M(f).t(mx));
+    }
+    throw new TypeError('Expected a monad with map and flatten, or a family like listMon.');
+  };
+
+  // Do-notation: runs the generator function body, binding each
+  // value it yields in the monad M and resuming body with the
+  // values inside, e.g.
+  //   doM(List, function* () {
+  //     const x = yield [1, 2];
+  //     const y = yield [x, 10 * x];
+  //     return [x + y];
+  //   }) // [2, 11, 4, 22]
+  // body returns a value of the monad, such as M.of(x). Values with
+  // a bind method _, like the kleisli wrappers of examples.js, are
+  // bound with it, and M is then unused. Generators can only be
+  // resumed once, so for monads like List that call the rest of the
+  // block many times, the first call resumes body and the others
+  // replay it from the start with the values bound so far; it
+  // should have no side effects besides those of its monad.
+  const doM = (M, body) => {
+    func(body);
+    // The values bound so far are a list {x, rest}, latest first.
+    const replay = (bound) => {
+      const values = [];
+      for (let b = bound; b; b = b.rest) {
+        values.unshift(b.x);
+      }
+      const it = body();
+      let step = it.next();
+      values.forEach((x) => {
+        step = it.next(x);
+      });
+      return run(it, step, bound);
+    };
+    const run = (it, step, bound) => {
+      if (step.done) {
+        return step.value;
+      }
+      let resumed = false;
+      const next = (x) => {
+        const values = {x, rest: bound};
+        if (resumed) {
+          return replay(values);
+        }
+        resumed = true;
+        return run(it, it.next(x), values);
+      };
+      const mx = step.value;
+      return mx && typeof mx._ === 'function' ?
+          mx._((x) => {
+            const my = next(x);
+            return my && typeof my._ === 'function' ? my.value : my;
+          }) :
+          binder(M)(mx, next);
+    };
+    return replay(null);
+  };
+
+  return {
+    Async,
+    Cont,
+    Either,
+    Lazy,
+    List,
+    Maybe,
+    doM,
+    eitherOf,
+    left,
+    maybeOf,
+    monad,
+    none,
+    right,
+    some
+  };
+});
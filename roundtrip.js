@@ -0,0 +1,80 @@
+// Round trips the fixture schemas in schemas/ through
+// fromJSONSchema, toJSONSchema and fromJSONSchema again, and checks
+// that both contracts accept the same values: the data of each
+// test, which must also be judged as the test says, and values
+// generated from the first contract where arbitrary can. Each
+// fixture file holds an array of
+//   {description, schema, tests: [{description, data, valid}]}
+// as in the JSON Schema test suite. Run from the repository root.
+require(['fs', 'path', 'jsonschema', 'arbitrary'], (fs, path, jsonschema, arb) => {
+  const {fromJSONSchema, toJSONSchema} = jsonschema;
+  const {arbitrary, random} = arb;
+
+  const passes = (c, x) => {
+    try {
+      c(x);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Up to n values generated from c with a fixed seed, or none
+  // when there's no generator for c.
+  const samples = (c, n) => {
+    let gen;
+    try {
+      gen = arbitrary(c);
+    } catch (e) {
+      return [];
+    }
+    const rand = random(1);
+    const values = [];
+    try {
+      for (let i = 0; i < n; ++i) {
+        values.push(gen.generate(rand, 10));
+      }
+    } catch (e) {
+      // Filtered generators give up on narrow refinements.
+    }
+    return values;
+  };
+
+  const dir = path.join(process.cwd(), 'schemas');
+  let failures = 0, checked = 0;
+  fs.readdirSync(dir).filter((file) => /\.json$/.test(file)).sort().forEach((file) => {
+    JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).forEach(({description, schema, tests}) => {
+      const fail = (message) => {
+        failures++;
+        console.log(`${file}, ${description}: ${message}`);
+      };
+      let first, second;
+      try {
+        first = fromJSONSchema(schema);
+        second = fromJSONSchema(toJSONSchema(first));
+      } catch (e) {
+        fail(e.message);
+        return;
+      }
+      tests.forEach((test) => {
+        const [a, b] = [passes(first, test.data), passes(second, test.data)];
+        checked++;
+        if (a !== test.valid) {
+          fail(`${test.description}: expected ${test.valid ? 'valid' : 'invalid'}`);
+        } else if (a !== b) {
+          fail(`${test.description}: the round trip gives ${b ? 'valid' : 'invalid'}`);
+        }
+      });
+      samples(first, 50).forEach((x) => {
+        checked++;
+        if (!passes(second, x)) {
+          fail(`the round trip rejects ${JSON.stringify(x)}`);
+        }
+      });
+    });
+  });
+  console.log(`${checked} values checked, ${failures} failures`);
+  if (failures) {
+    process.exitCode = 1;
+  }
+});
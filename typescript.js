@@ -0,0 +1,243 @@
+// Generates TypeScript declarations from contracts.
+// Given a module of exported contracts, e.g.
+//   const api = {Row: prods({id: int32, name: string}), ...};
+// declarations(api) returns the text of a .d.ts file with one
+// exported type per contract, which can be written out with
+//   fs.writeFileSync('api.d.ts', declarations(api));
+// Contracts that TypeScript can't express become unknown with
+// a comment saying why.
+define(['jscategory'], (jsc) => {
+  const {describe, object, show} = jsc;
+
+  // Types for the base contracts, by name.
+  const names = {
+    any: 'any',
+    undefined: 'undefined',
+    null: 'null',
+    NaN: 'number',
+    int32: 'number',
+    nat32: 'number',
+    int53: 'number',
+    nat53: 'number'
+  };
+
+  // Types for typeof tests; null is an object too.
+  const types = {
+    bigint: 'bigint',
+    boolean: 'boolean',
+    function: '(...args: any[]) => any',
+    number: 'number',
+    object: 'object | null',
+    string: 'string',
+    symbol: 'symbol',
+    undefined: 'undefined'
+  };
+
+  // Types for [[Class]] and instanceof tests of built-in classes.
+  const classes = {
+    Array: 'unknown[]',
+    Date: 'Date',
+    Error: 'Error',
+    Map: 'Map<unknown, unknown>',
+    Promise: 'Promise<unknown>',
+    RegExp: 'RegExp',
+    Set: 'Set<unknown>',
+    WeakMap: 'WeakMap<object, unknown>'
+  };
+
+  const unknown = (why) => `unknown /* ${why.replace(/\*\//g, '* /')} */`;
+
+  // Literal types for the values of literal and oneOf.
+  const literal = (v) =>
+      v === null || typeof v === 'boolean' || typeof v === 'string' ||
+          (typeof v === 'number' && isFinite(v)) ? JSON.stringify(v) :
+      v === void 0 ? 'undefined' :
+      typeof v === 'number' ? 'number' :
+      unknown(`the value ${show(v)}`);
+
+  // Property names as they appear in object types.
+  const key = (k) => /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k);
+
+  // Returns the TypeScript type for the contract c. Contracts in
+  // refs are referred to by name. As in signature, union,
+  // intersection and function types are parenthesized in contexts
+  // that bind tighter than the given level.
+  const toTypeScript = (c, refs = new Map(), level = 0) =>
+      refs.has(c) ? refs.get(c) : expand(c, refs, level);
+
+  // The recursive contracts being spelled out.
+  const unfolding = new Set();
+
+  // Spells out the type for c without referring to it by name.
+  const expand = (c, refs, level) => {
+    const {kind, args} = describe(c);
+    const [x] = args;
+    const type = (c, lvl) => toTypeScript(c, refs, lvl);
+    // Optional properties are described by opt.
+    const fields = (cs) => `{ ${Object.keys(cs).map((k) => {
+      const d = describe(cs[k]);
+      return d.kind === 'opt' ? `${key(k)}?: ${type(d.args[0])};` : `${key(k)}: ${type(cs[k])};`;
+    }).join(' ')} }`;
+    // Parameter lists; optional arguments are described by opt too.
+    const params = (inputs) => inputs.map((input, i) => {
+      const d = describe(input);
+      return d.kind === 'opt' ? `a${i}?: ${type(d.args[0])}` : `a${i}: ${type(input)}`;
+    }).join(', ');
+    // Function types, with the type of this for methods.
+    const arrow = (kind, args, receiver) => {
+      const output = type(args[args.length - 1]);
+      return `(${(receiver ? [`this: ${type(receiver)}`] : []).concat(params(args.slice(0, -1)) || []).join(', ')}) => ` +
+          (kind === 'asyncHom' ? `Promise<${output}>` : output);
+    };
+    let result, precedence = 3;
+    switch (kind) {
+      case 'name':
+        return names[x] || unknown(`no type for ${x}`);
+      case 'opaque':
+        return unknown(`opaque contract ${x}`);
+      case 'rec': {
+        // Unfold the recursion once; the recursive references
+        // must then be exported types.
+        if (unfolding.has(c)) {
+          return unknown(`recursive ${args[1] || 'contract'} that isn't exported`);
+        }
+        unfolding.add(c);
+        try {
+          return type(x(), level);
+        } finally {
+          unfolding.delete(c);
+        }
+      }
+      case 'typeOf':
+        result = types[x] || unknown(`typeof ${x}`);
+        precedence = x === 'function' ? 0 : x === 'object' ? 1 : 3;
+        break;
+      case 'classOf':
+        return classes[x] || unknown(`[[Class]] ${x}`);
+      case 'instanceOf':
+        return classes[x.name] || x.name || unknown('instance of an anonymous class');
+      case 're':
+      case 'text':
+        return 'string';
+      case 'range':
+        return 'number';
+      case 'refine':
+        return `${type(x, level)} /* ${args[2].replace(/\*\//g, '* /')} */`;
+      case 'protocol':
+        return `${args[1] ? type(args[1], level) : 'any'} /* protocol ${(typeof x === 'string' ? x : `from ${x.start}`).replace(/\*\//g, '* /')} */`;
+      case 'literal':
+        return literal(x);
+      case 'oneOf':
+        result = x.map(literal).join(' | ');
+        precedence = x.length > 1 ? 1 : 3;
+        break;
+      case 'promOf':
+        return `Promise<${type(x)}>`;
+      case 'asyncIterOf':
+        return `AsyncIterable<${type(x)}>`;
+      case 'iterOf':
+        return `Iterable<${type(x)}>`;
+      case 'genOf':
+        return `Generator<${type(x)}, ${args[1] ? type(args[1]) : 'any'}, ${args[2] ? type(args[2]) : 'any'}>`;
+      case 'arrayOf':
+        return `Array<${type(x)}>`;
+      case 'objectOf':
+        return `{ [key: string]: ${type(x)} }`;
+      case 'prodn':
+        return `[${x.map((c) => type(c)).concat(args[1] ? [`...${type(args[1].c, 3)}[]`] : []).join(', ')}]`;
+      case 'mapOf':
+        return `Map<${type(x)}, ${type(args[1])}>`;
+      case 'setOf':
+        return `Set<${type(x)}>`;
+      case 'weakMapOf':
+        return `WeakMap<${type(x)}, ${type(args[1])}>`;
+      case 'typedArrayOf':
+        return x.name;
+      case 'prods':
+      case 'interface':
+        return fields(x);
+      case 'live':
+        return args[1] && args[1].readOnly ? `Readonly<${fields(x)}>` : fields(x);
+      case 'pbn':
+        return `[${x.map((c) => type(c)).join(', ')}] /* pullback */`;
+      case 'pbs':
+        return `${fields(x)} /* pullback */`;
+      case 'coprodn':
+      case 'pon':
+        result = x.map((c, i) => `[${i}, ${type(c)}]`).join(' | ');
+        precedence = 1;
+        break;
+      case 'coprods':
+      case 'pos':
+        result = Object.keys(x).map((k) => `[${JSON.stringify(k)}, ${type(x[k])}]`).join(' | ');
+        precedence = 1;
+        break;
+      case 'union':
+        result = x.map((c) => type(c, 2)).join(' | ');
+        precedence = 1;
+        break;
+      case 'intersect':
+        result = x.map((c) => type(c, 3)).join(' & ');
+        precedence = 2;
+        break;
+      case 'opt':
+        result = `${type(x, 2)} | undefined`;
+        precedence = 1;
+        break;
+      case 'klass': {
+        // A constructor type with the static members.
+        const {args: inputs = [], methods = {}, accessors = {}, statics = {}} = x;
+        return `{ ${[`new (${params(inputs)}): ${fields(Object.assign({}, methods, accessors))};`].concat(
+            Object.keys(statics).map((k) => `${key(k)}: ${type(statics[k])};`)).join(' ')} }`;
+      }
+      case 'forall': {
+        // A generic function, with type parameters A, B, ... in
+        // place of the seals.
+        const vars = args[1].map(() => (y) => y);
+        const scope = new Map(refs);
+        vars.forEach((v, i) => scope.set(v, args[1][i].toUpperCase()));
+        result = `<${args[1].map((name) => name.toUpperCase()).join(', ')}>` +
+            toTypeScript(x(...vars), scope, 0);
+        precedence = 0;
+        break;
+      }
+      case 'self': {
+        const method = describe(x);
+        if (method.kind !== 'hom' && method.kind !== 'asyncHom') {
+          return type(x, level);
+        }
+        result = arrow(method.kind, method.args, args[1]);
+        precedence = 0;
+        break;
+      }
+      case 'hom':
+      case 'asyncHom':
+        result = arrow(kind, args);
+        precedence = 0;
+        break;
+      default:
+        return unknown(`cannot express ${kind}`);
+    }
+    return precedence < level ? `(${result})` : result;
+  };
+
+  // Returns the text of a .d.ts file declaring an exported type
+  // for each contract in the module. Contracts that appear inside
+  // others are referred to by their exported names.
+  const declarations = (module) => {
+    object(module);
+    const refs = new Map();
+    Object.keys(module).forEach((name) => {
+      if (!refs.has(module[name])) {
+        refs.set(module[name], name);
+      }
+    });
+    return Object.keys(module).map((name) =>
+        `export type ${name} = ${expand(module[name], refs, 0)};\n`).join('');
+  };
+
+  return {
+    declarations,
+    toTypeScript
+  };
+});